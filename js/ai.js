@@ -1,9 +1,15 @@
-import { TETROMINOES } from './constants.js';
-import { getShape } from './utils.js';
+import { AI_PERSONALITIES, BOARD_SIZES, TETROMINOES } from './constants.js';
+import { SearchCore, scoreBoard, terrainPenalty, funnelBounds } from './search.js';
+
+// Lookahead ply for a piece nothing is known about: every type, weighted equally
+const ANY_PIECE = Object.keys(TETROMINOES).map((type, _, types) => ({ type, weight: 1 / types.length }));
 
 export class AIController {
   constructor(engine) {
     this.engine = engine;
+    this.core = new SearchCore();
+    // Debug hook: called with (x, y, rotation, score, baseScore) for every resting spot a search scores
+    this.onCandidate = null;
     this.reset();
   }
 
@@ -17,107 +23,89 @@ export class AIController {
     this.erraticDir = 1;
     // Track for meaningful retarget detection
     this.lastTargetKey = null;
+    this.targetPiece = null; // Piece the current target was computed for
     this.lastPlayerGridX = null;
+    // Search requested by requestTarget(), applied at the next AI move once collected (see collectResult())
+    this.pending = null;
   }
 
   /**
-   * Calculate funnel validity bounds for terrain traversability
-   * 
-   * FUNNEL PATTERN CONCEPT:
-   * A "funnel" is a terrain shape that slopes from the edges toward the center.
-   * This allows the player to climb from low areas to high areas.
-   * 
-   * Example valid funnel from left:
-   *   Heights: [2, 3, 4, 5, 4, 3, 2, 1, 1, 1]
-   *            ^^^^^^^^^^^^ (ascending from left edge)
-   * 
-   * Example valid funnel from right:
-   *   Heights: [5, 5, 4, 3, 4, 5, 6, 7, 8, 9]
-   *                     ^^^^^^^^^^^^^^^^^^^^^ (ascending from right edge)
-   * 
-   * The bounds tell us how far each funnel extends from its edge.
-   * 
-   * @param {Array<number>} heights - Column heights
-   * @returns {{leftValidUntil: number, rightValidUntil: number}}
+   * Board area relative to the standard board the scoring weights are tuned on
+   * Penalties that must outweigh the summed height terms grow with it.
+   * @returns {number}
    */
-  calculateFunnelBounds(heights) {
-    const COLS = this.engine.constants.COLS;
-    
-    // Left funnel: heights increase or stay same from left edge
-    let leftFunnelValidUntil = 0;
-    for (let x = 1; x < COLS; x++) {
-      if (heights[x] <= heights[x - 1]) {
-        leftFunnelValidUntil = x;
-      } else {
-        break;
-      }
-    }
-
-    // Right funnel: heights increase or stay same from right edge
-    let rightFunnelValidUntil = COLS - 1;
-    for (let x = COLS - 2; x >= 0; x--) {
-      if (heights[x] <= heights[x + 1]) {
-        rightFunnelValidUntil = x;
-      } else {
-        break;
-      }
-    }
+  getBoardScale() {
+    const { cols, rows } = BOARD_SIZES.standard;
+    return (this.engine.constants.COLS * this.engine.constants.ROWS) / (cols * rows);
+  }
 
-    return { leftFunnelValidUntil, rightFunnelValidUntil };
+  /**
+   * Board dimensions and thresholds the scoring formula needs (see scoreBoard() in search.js)
+   * @returns {Object}
+   */
+  getScoringRules() {
+    const c = this.engine.constants;
+    return {
+      cols: c.COLS,
+      rows: c.ROWS,
+      cliffHeight: c.CLIFF_HEIGHT_THRESHOLD,
+      panicHeight: c.AI_PANIC_HEIGHT,
+      warningHeight: c.AI_WARNING_HEIGHT,
+      floatingHeight: c.AI_FLOATING_HEIGHT,
+      panicPenalty: c.AI_PANIC_PENALTY * this.getBoardScale(),
+      warningPenalty: c.AI_WARNING_PENALTY * this.getBoardScale(),
+    };
   }
 
   /**
-   * Evaluate terrain penalty based on cliff heights and funnel patterns
-   * @param {Array<number>} heights - Column heights
+   * Later pieces the search looks ahead to (see SearchCore.search())
+   * `beamDepth` sets the plies (Hard's `previewLookahead` alone means one ply, searched in full).
+   * With `previewLookahead`, plies the preview queue covers use its pieces and the rest are weighted
+   * by the randomizer's chances for the pieces after the queue (bag contents, history rerolls).
+   * Without it, the AI does not know what the queue holds, so every ply averages over every type.
+   * Only AI_MAX_UNKNOWN_PLIES plies go past what the AI sees of the queue, since each searches
+   * every piece type.
    * @param {Object} diffConfig - Difficulty configuration
-   * @param {Object} funnelBounds - Funnel validity bounds
-   * @param {boolean} detailed - Whether to return detailed cliff info
-   * @returns {number|Object} Terrain penalty score or detailed breakdown
+   * @returns {{plies: Array<Array<{type: string, weight: number}>>, width: number}|null}
    */
-  evaluateTerrainPenalty(heights, diffConfig, funnelBounds, detailed = false) {
-    const COLS = this.engine.constants.COLS;
-    const MID = Math.floor(COLS / 2);
-    const CLIFF_HEIGHT = this.engine.constants.CLIFF_HEIGHT_THRESHOLD;
-    
-    let terrainPenalty = 0;
-    const cliffs = detailed ? [] : null;
-
-    for (let x = 0; x < COLS - 1; x++) {
-      const heightDiff = Math.abs(heights[x] - heights[x + 1]);
-      if (heightDiff < CLIFF_HEIGHT) continue;
-
-      const higherCol = heights[x] > heights[x + 1] ? x : x + 1;
-      const lowerCol = heights[x] > heights[x + 1] ? x + 1 : x;
-      let isValidFunnel = false;
-
-      if (higherCol <= MID) {
-        if (higherCol < lowerCol && funnelBounds.leftFunnelValidUntil >= lowerCol) {
-          isValidFunnel = true;
-        }
-      } else {
-        if (higherCol > lowerCol && funnelBounds.rightFunnelValidUntil <= lowerCol) {
-          isValidFunnel = true;
-        }
-      }
-
-      const distFromEdge = Math.min(higherCol, COLS - 1 - higherCol);
-      let penalty;
-      if (isValidFunnel) {
-        penalty = diffConfig.funnelPenaltyBase * Math.pow(2, distFromEdge);
-      } else {
-        penalty = diffConfig.splitPenalty;
-      }
-      terrainPenalty += penalty;
-
-      if (cliffs) {
-        cliffs.push({ x, heightDiff, higherCol, isValidFunnel, distFromEdge, penalty });
-      }
+  getLookahead(diffConfig) {
+    const preview = diffConfig.previewLookahead ? this.engine.nextPieces : [];
+    const depth = Math.min(
+      diffConfig.beamDepth ?? (diffConfig.previewLookahead ? 1 : 0),
+      preview.length + this.engine.constants.AI_MAX_UNKNOWN_PLIES
+    );
+    if (depth <= 0) return null;
+    const { randomizer } = this.engine;
+    // The randomizer has dealt the queue already, so its chances are for the pieces after it
+    const weighted = diffConfig.previewLookahead && typeof randomizer.getDistribution === "function";
+    const plies = [];
+    for (let i = 0; i < depth; i++) {
+      if (preview[i]) plies.push([{ type: preview[i], weight: 1 }]);
+      else plies.push(weighted ? randomizer.getDistribution(i - preview.length) : ANY_PIECE);
     }
+    return { plies, width: diffConfig.beamWidth ?? Infinity };
+  }
 
-    if (detailed) {
-      return { penalty: terrainPenalty, cliffs };
-    }
-    return terrainPenalty;
+  /**
+   * Hunting settings when the AI goes after the player with the current piece (see AI_PERSONALITIES)
+   * A hunter rests for `rest` pieces after every `streak` it hunts.
+   * @returns {Object|null} The personality's `hunt` settings, or null when the AI avoids the player
+   */
+  getHunt() {
+    const { hunt } = AI_PERSONALITIES[this.engine.settings.personality];
+    if (!hunt) return null;
+    return this.engine.stats.pieceCount % (hunt.streak + hunt.rest) < hunt.streak ? hunt : null;
+  }
+
+  /**
+   * Columns around the player that the AI keeps pieces out of, or aims them at when hunting
+   * @param {Object|null} prediction - From GameEngine.predictPlayer()
+   * @param {Object} [diffConfig] - Difficulty configuration (its margin applies unless hunting)
+   * @returns {{left: number, right: number}|null} See GameEngine.getPlayerDangerZone()
+   */
+  getPlayerZone(prediction, diffConfig = this.engine.settings.diffConfig) {
+    const margin = this.getHunt()?.margin ?? diffConfig.dangerZoneMargin;
+    return this.engine.getPlayerDangerZone(margin, prediction);
   }
 
   /**
@@ -153,7 +141,7 @@ export class AIController {
    */
   performErraticMove() {
     const piece = this.engine.currentPiece;
-    if (Math.random() < 0.1) this.erraticDir *= -1;
+    if (this.engine.rng.next() < 0.1) this.erraticDir *= -1;
 
     if (this.engine.canPlacePieceWithPlayer(piece, this.erraticDir, 0)) {
       piece.x += this.erraticDir;
@@ -161,37 +149,297 @@ export class AIController {
       this.erraticDir *= -1;
     }
 
-    if (Math.random() < 0.05) {
-      const newRot = (piece.rotation + 1) % TETROMINOES[piece.type].shapes.length;
-      const newShape = getShape(piece.type, newRot);
-      if (
-        this.engine.canPlacePieceWithPlayer(piece, 0, 0, newShape) &&
-        this.checkRotationOcclusion(piece.x, piece.y, piece.shape, newShape)
-      ) {
-        piece.rotation = newRot;
-        piece.shape = newShape;
+    if (this.engine.rng.next() < 0.05) {
+      const rotation = this.engine.rotationSystem;
+      const rotated = rotation.rotate(piece, 1, (x, y, shape) =>
+        this.engine.canPlacePieceWithPlayer({ x, y }, 0, 0, shape)
+      );
+      const swept =
+        rotated &&
+        (!rotation.sweepCheck || this.checkRotationOcclusion(piece.x, piece.y, piece.shape, rotated.shape));
+      if (swept) {
+        Object.assign(piece, rotated);
       }
     }
   }
 
   /**
-   * Calculate the best landing position for current piece using BFS pathfinding
-   * Evaluates all reachable positions and selects the one with highest score
+   * Calculate the best landing position for current piece and use it right away
+   * Supersedes any pending requestTarget() search.
    * @param {Object} overrideConfig - Optional difficulty config override (for sabotage)
    * @param {boolean} avoidPlayer - Whether to apply danger zone penalties
    * @param {boolean} playerTriggered - Whether this calculation was triggered by player movement
    */
   calculateTarget(overrideConfig = null, avoidPlayer = false, playerTriggered = false) {
+    this.pending = null;
     if (!this.engine.currentPiece) {
       this.target = null;
       this.path = [];
       return;
     }
 
-    let bestScore = -Infinity;
-    let bestState = null;
+    const prediction = this.engine.predictPlayer();
+    const result = this.searchTarget(overrideConfig, avoidPlayer, prediction);
+    this.applyTarget(result, playerTriggered, prediction?.column ?? null);
+  }
+
+  /**
+   * Ask for a new target without waiting for the search
+   * The search runs in the engine's aiWorker when there is one (otherwise right here). The engine
+   * collects the result between frames once it is in (GameEngine.collectAIResult()) and it takes
+   * effect at the next AI move; until then the piece keeps following its current path, or just
+   * falls. A piece without a target yet also gets the hold swap searched (getHoldAlternative()).
+   * One search runs at a time: while one is pending for the piece, further requests are dropped.
+   * @param {boolean} avoidPlayer - Whether to apply danger zone penalties
+   * @param {boolean} playerTriggered - Whether this calculation was triggered by player movement
+   */
+  requestTarget(avoidPlayer = false, playerTriggered = false) {
+    const piece = this.engine.currentPiece;
+    if (!piece || this.pending?.piece === piece) return;
+
+    const { player } = this.engine;
+    const prediction = this.engine.predictPlayer();
+    this.postRequest(
+      {
+        piece: this.engine.describePiece(piece),
+        alt: this.targetPiece === piece ? null : this.getHoldAlternative(),
+        player: player ? { x: player.x, y: player.y } : null,
+        prediction,
+        playerGridX: prediction?.column ?? null,
+        retargetCount: this.retargetCount,
+        avoidPlayer,
+        playerTriggered,
+        context: this.describeSearchContext(),
+      },
+      piece
+    );
+  }
+
+  /**
+   * Start the search of a request, in the worker or right here, and make it the pending one
+   * @param {Object} request - From requestTarget() or restorePending()
+   * @param {Object} piece - Falling piece the request is for
+   */
+  postRequest(request, piece) {
+    const ticket = this.engine.aiWorker?.search(request) ?? null;
+    this.pending = {
+      request,
+      piece,
+      ticket,
+      result: ticket === null ? this.searchFromRequest(request) : null,
+      collected: false,
+    };
+  }
+
+  /**
+   * The piece a hold would swap in, when the difficulty lets the AI hold and it has not this spawn
+   * @returns {{type: string, x: number, y: number, rotation: number}|null} Its spawn position, or
+   *   null when there is nothing to swap in (same type, no room, or no hold allowed)
+   */
+  getHoldAlternative() {
+    const { engine } = this;
+    if (!engine.settings.diffConfig.aiHold || engine.holdUsed) return null;
+
+    const type = engine.heldPiece ?? engine.peekNextPieceType();
+    if (type === engine.currentPiece.type) return null;
+    const alt = engine.createPiece(type);
+    return engine.canPlacePiece(alt, 0, 0) ? engine.describePiece(alt) : null;
+  }
+
+  /**
+   * What a search reads from the engine besides the piece and player: the grid, the settings, the
+   * piece count (for hunting streaks) and the lookahead plies. None of it changes while a request
+   * is pending: the piece locking drops it, and the engine asks again after a player line clear.
+   * @returns {Object} Sent to the worker along with the request (see worker.js)
+   */
+  describeSearchContext() {
+    const { settings } = this.engine;
+    return {
+      settings: {
+        difficulty: settings.difficulty,
+        rotationSystem: settings.rotationSystem,
+        boardSize: settings.boardSize,
+        personality: settings.personality,
+      },
+      grid: this.engine.grid,
+      pieceCount: this.engine.stats.pieceCount,
+      lookahead: this.getLookahead(settings.diffConfig),
+    };
+  }
+
+  /**
+   * Take in the result of the pending search once it is in; see GameEngine.collectAIResult()
+   * @param {boolean} [wait] - Search right here if the worker has not answered yet
+   * @returns {boolean} Whether a result was collected now
+   */
+  collectResult(wait = false) {
+    const pending = this.pending;
+    if (!pending || pending.collected) return false;
+
+    const worker = this.engine.aiWorker;
+    pending.result ??= worker.take(pending.ticket);
+    // A stopped worker never answers
+    if (!pending.result && (wait || worker.failed)) pending.result = this.searchFromRequest(pending.request);
+    pending.collected = pending.result !== null;
+    return pending.collected;
+  }
+
+  /**
+   * Use the collected result of the pending requestTarget() search
+   * When the hold swap was searched too and its piece scores better, that piece is swapped in.
+   * @returns {boolean} Whether a result was applied (false: none collected yet, or the request was
+   *   for a piece that has since locked)
+   */
+  applyPendingTarget() {
+    const pending = this.pending;
+    if (!pending?.collected) return false;
+    this.pending = null;
+    if (pending.piece !== this.engine.currentPiece) return false;
+
+    const { request, result } = pending;
+    if (result.alt?.target && result.alt.score > result.score) {
+      // Created here so the new target and path stay tied to the piece swapped in
+      const incoming = this.engine.createPiece(request.alt.type);
+      if (this.engine.holdCurrentPiece(incoming)) {
+        this.applyTarget(result.alt, false, request.playerGridX);
+        return true;
+      }
+    }
+    this.applyTarget(result, request.playerTriggered, request.playerGridX);
+    return true;
+  }
+
+  /**
+   * @returns {Object} The pending request as saved in GameEngine.dumpState()
+   */
+  describePending() {
+    const { context, ...request } = this.pending.request;
+    return {
+      ...request,
+      piece: { ...request.piece },
+      alt: request.alt && { ...request.alt },
+      player: request.player && { ...request.player },
+      prediction: request.prediction && { ...request.prediction },
+    };
+  }
+
+  /**
+   * Restore a pending request from a saved game (see describePending()) and search it again
+   * Call once the rest of the game is loaded, which the search context is taken from.
+   * @param {Object|null} saved - Request without its context, or null when none was pending
+   */
+  restorePending(saved) {
+    if (!saved || !this.engine.currentPiece) {
+      this.pending = null;
+      return;
+    }
+    const request = {
+      ...saved,
+      piece: { ...saved.piece },
+      alt: saved.alt && { ...saved.alt },
+      player: saved.player && { ...saved.player },
+      prediction: saved.prediction && { ...saved.prediction },
+      context: this.describeSearchContext(),
+    };
+    this.postRequest(request, this.engine.currentPiece);
+  }
+
+  /**
+   * Run the searches of a requestTarget() call as they were when requested
+   * The falling piece, player and retarget count may have changed since; the rest of the engine
+   * matches the request's context (see describeSearchContext()), or was loaded from it in worker.js.
+   * @param {Object} request - From requestTarget()
+   * @returns {{target: Object|null, score: number, path: Array<Object>, alt?: Object}} See
+   *   searchTarget(); `alt` is the result for the hold swap's piece, when it was requested
+   */
+  searchFromRequest(request) {
+    const result = this.searchRequestedPiece(request, request.piece);
+    return request.alt ? { ...result, alt: this.searchRequestedPiece(request, request.alt) } : result;
+  }
+
+  /**
+   * @param {Object} request - From requestTarget()
+   * @param {{type: string, x: number, y: number, rotation: number}} position - Piece to search for
+   * @returns {{target: Object|null, score: number, path: Array<Object>}} See searchTarget()
+   */
+  searchRequestedPiece(request, position) {
+    const { engine } = this;
+    const saved = { piece: engine.currentPiece, player: engine.player, retargetCount: this.retargetCount };
+    const { type, x, y, rotation } = position;
+    engine.currentPiece = { type, x, y, rotation, shape: engine.rotationSystem.getShape(type, rotation) };
+    engine.player = request.player && { ...engine.player, ...request.player };
+    this.retargetCount = request.retargetCount;
+    try {
+      return this.searchTarget(null, request.avoidPlayer, request.prediction, request.context.lookahead);
+    } finally {
+      engine.currentPiece = saved.piece;
+      engine.player = saved.player;
+      this.retargetCount = saved.retargetCount;
+    }
+  }
+
+  /**
+   * Make a search result the current target and path
+   * @param {{target: Object|null, score: number, path: Array<Object>}} result - From searchTarget()
+   * @param {boolean} playerTriggered - Whether the search was triggered by player movement
+   * @param {number|null} playerGridX - Predicted player column when the search was started
+   */
+  applyTarget(result, playerTriggered, playerGridX) {
+    const bestState = result.target;
+    const bestScore = result.score;
+    const piece = this.engine.currentPiece;
+    const previous = this.targetPiece === piece ? this.target : null;
+    this.target = bestState;
+    this.targetScore = bestScore;
+    this.targetPiece = piece;
+
+    // Track target changes for meaningful retarget counting
+    const newTargetKey = bestState ? `${bestState.x},${bestState.y},${bestState.rotation}` : null;
+    if (playerTriggered && this.lastTargetKey !== null && newTargetKey !== this.lastTargetKey) {
+      // Target actually changed due to player movement - count it
+      this.retargetCount++;
+    }
+    if (previous && bestState && newTargetKey !== this.lastTargetKey) {
+      this.engine.events.emit("aiRetargeted", {
+        target: { x: bestState.x, y: bestState.y, rotation: bestState.rotation },
+        previous: { x: previous.x, y: previous.y, rotation: previous.rotation },
+        score: bestScore,
+        playerTriggered,
+      });
+    }
+    this.lastTargetKey = newTargetKey;
+
+    // Track player position for change detection
+    if (playerGridX !== null) {
+      this.lastPlayerGridX = playerGridX;
+    }
+
+    this.path = result.path.map((step) => ({ ...step }));
+  }
+
+  /**
+   * Find the best landing position for the current piece using BFS pathfinding
+   * Evaluates all reachable positions and selects the one with highest score. The search itself
+   * runs in SearchCore (search.js); this decides what it avoids (or hunts) and looks ahead to. Reads the
+   * engine but changes nothing, so it can run anywhere the engine state is available (see worker.js).
+   * @param {Object} overrideConfig - Optional difficulty config override (for sabotage)
+   * @param {boolean} avoidPlayer - Whether to apply danger zone penalties
+   * @param {Object|null} [prediction] - Where the player is expected when the piece lands
+   *   (GameEngine.predictPlayer()); without it the danger zone is where the player is now
+   * @param {Object|null} [lookahead] - Plies to look ahead to, as from getLookahead() (the default)
+   * @returns {{target: Object|null, score: number, path: Array<Object>}} Best resting state
+   *   ({x, y, rotation}), its score and the steps to reach it
+   */
+  searchTarget(
+    overrideConfig = null,
+    avoidPlayer = false,
+    prediction = null,
+    lookahead = this.getLookahead(overrideConfig || this.engine.settings.diffConfig)
+  ) {
     const diffConfig = overrideConfig || this.engine.settings.diffConfig;
-    const shapes = TETROMINOES[this.engine.currentPiece.type].shapes;
+    const pieceType = this.engine.currentPiece.type;
+    const rotation = this.engine.rotationSystem;
+    const fits = (x, y, testShape) => this.engine.canPlacePiece({ x, y }, 0, 0, testShape);
 
     // Calculate board urgency (Panic Mode)
     let currentMaxHeight = 0;
@@ -202,182 +450,118 @@ export class AIController {
       }
     }
 
-    // Avoidance parameters
+    // Avoidance parameters (targeting ones when hunting)
     let dangerZone = null;
     let dangerZoneReward = diffConfig.dangerZoneReward; // The reward is usually negative
+    let hunt = null;
 
     if (avoidPlayer && this.engine.player) {
-      dangerZone = this.engine.getPlayerDangerZone(diffConfig.dangerZoneMargin);
+      const hunter = this.getHunt();
+      dangerZone = this.getPlayerZone(prediction, diffConfig);
 
-      // Apply decay based on retarget count
-      // Easy (1.0): never decays, Normal (0.7): moderate, Hard (0.4): aggressive
-      const decay = diffConfig.dangerZoneDecay ?? 1.0;
-      dangerZoneReward = diffConfig.dangerZoneReward * Math.pow(decay, this.retargetCount);
+      if (hunter) {
+        // Hunters do not tire of the player; they stop following it instead (GameEngine.shouldRetarget())
+        dangerZoneReward = -diffConfig.holeReward * hunter.reward;
+      } else {
+        // Apply decay based on retarget count
+        // Easy (1.0): never decays, Normal (0.7): moderate, Hard (0.4): aggressive
+        const decay = diffConfig.dangerZoneDecay ?? 1.0;
+        dangerZoneReward = diffConfig.dangerZoneReward * Math.pow(decay, this.retargetCount);
+      }
 
       // Linearly reduce targeting player's danger zone reward as board fills up ("Panic Mode")
       // For negative rewards, this makes them less negative; positive rewards become less positive.
       // In any case, this will make AI stop caring about the player and just focus on survival.
-      dangerZoneReward = Math.min(0, dangerZoneReward - currentMaxHeight * (dangerZoneReward / 20));
+      const fill = currentMaxHeight / this.engine.constants.ROWS;
+      dangerZoneReward -= fill * dangerZoneReward;
+
+      if (hunter) {
+        // Where the player will be, and the columns they can run to (just their own without a prediction)
+        const cells = this.engine.getPlayerGridBounds(prediction ?? this.engine.player);
+        const reach = prediction ?? cells;
+        const trapReward = -diffConfig.holeReward * hunter.trapReward;
+        // Only a trap the player can step out of
+        const canLeave = reach.left < cells.left || reach.right > cells.right;
+        hunt = {
+          reach: { left: reach.left, right: reach.right },
+          cornerReward: diffConfig.dangerZoneReward,
+          trap: diffConfig.playerCompletesLine && canLeave ? cells : null,
+          trapReward: trapReward - fill * trapReward,
+        };
+      }
     }
 
-    // BFS State: { x, y, rotation }
     const startState = {
       x: this.engine.currentPiece.x,
       y: this.engine.currentPiece.y,
       rotation: this.engine.currentPiece.rotation,
     };
-    const startKey = `${startState.x},${startState.y},${startState.rotation}`;
-
-    const queue = [startState];
-    const visited = new Set([startKey]);
-    const parents = new Map(); // key -> { parentKey, action }
-
-    let iterations = 0;
-    const MAX_ITERATIONS = this.engine.constants.AI_MAX_BFS_ITERATIONS;
-
-    while (queue.length > 0 && iterations < MAX_ITERATIONS) {
-      iterations++;
-      const current = queue.shift();
-      const currentKey = `${current.x},${current.y},${current.rotation}`;
-      const shape = shapes[current.rotation];
-
-      // Check if resting spot (cannot move down)
-      const tempPiece = {
-        x: current.x,
-        y: current.y,
-        rotation: current.rotation,
-        shape: shape,
-        type: this.engine.currentPiece.type,
-      };
-
-      const canMoveDown = this.engine.canPlacePiece(tempPiece, 0, 1);
-
-      if (!canMoveDown) {
-        // Evaluate resting spot
-        let dzReward = 0;
-        if (avoidPlayer && dangerZone) {
-          const width = shape[0].length;
-          const pieceRight = current.x + width;
-          // The piece actually targets the player's grid space
-          if (current.x < dangerZone.right && pieceRight > dangerZone.left) {
-            dzReward = dangerZoneReward;
-          }
-        }
-
-        const score = this.evaluatePosition(tempPiece, shape, diffConfig) + dzReward;
-        if (score > bestScore) {
-          bestScore = score;
-          bestState = current;
-        }
-      }
-
-      // Generate neighbors
-      const neighbors = [
-        { action: "left", dx: -1, dy: 0, drot: 0 },
-        { action: "right", dx: 1, dy: 0, drot: 0 },
-        { action: "rotate", dx: 0, dy: 0, drot: 1 },
-        { action: "down", dx: 0, dy: 1, drot: 0 },
-      ];
-
-      for (const n of neighbors) {
-        const nextRot = (current.rotation + n.drot) % shapes.length;
-        const nextX = current.x + n.dx;
-        const nextY = current.y + n.dy;
-
-        const nextKey = `${nextX},${nextY},${nextRot}`;
-        if (visited.has(nextKey)) continue;
-
-        const nextShape = shapes[nextRot];
-
-        if (avoidPlayer && dangerZone && (n.action === "left" || n.action === "right" || n.action === "rotate")) {
-          const width = nextShape[0].length;
-          const pieceLeft = nextX;
-          const pieceRight = nextX + width;
-
-          const playerYGrid = Math.floor(this.engine.player.y / this.engine.constants.CELL_SIZE);
-          const pieceBottomGrid = nextY + nextShape.length;
-
-          if (pieceBottomGrid >= playerYGrid - 2) {
-            const nextInDanger = pieceLeft < dangerZone.right && pieceRight > dangerZone.left;
-
-            if (nextInDanger) {
-              const curWidth = shape[0].length;
-              const curLeft = current.x;
-              const curRight = current.x + curWidth;
-              const curInDanger = curLeft < dangerZone.right && curRight > dangerZone.left;
-
-              if (!curInDanger) {
-                continue;
-              }
-            }
-          }
-        }
-
-        let valid = false;
-        if (n.action === "rotate") {
-          if (
-            this.engine.canPlacePiece(
-              { x: current.x, y: current.y, shape: shape, type: this.engine.currentPiece.type },
-              0,
-              0,
-              nextShape
-            ) &&
-            this.checkRotationOcclusion(current.x, current.y, shape, nextShape)
-          ) {
-            valid = true;
-          }
-        } else {
-          if (
-            this.engine.canPlacePiece(
-              { x: current.x, y: current.y, shape: shape, type: this.engine.currentPiece.type },
-              n.dx,
-              n.dy
-            )
-          ) {
-            valid = true;
-          }
-        }
-
-        if (valid) {
-          visited.add(nextKey);
-          parents.set(nextKey, { parentKey: currentKey, action: n.action });
-          queue.push({ x: nextX, y: nextY, rotation: nextRot });
-        }
-      }
+    const result = this.core.search({
+      grid: this.engine.grid,
+      rotation,
+      type: pieceType,
+      start: startState,
+      rules: this.getScoringRules(),
+      diffConfig,
+      lookahead,
+      dangerZone,
+      dangerZoneReward,
+      playerRow: dangerZone ? Math.floor(this.engine.player.y) : 0,
+      hunt,
+      maxIterations: this.engine.constants.AI_MAX_BFS_ITERATIONS,
+      onCandidate: this.onCandidate,
+    });
+
+    // With kicks, the shortest BFS path often slides down first and kicks into place at the
+    // bottom. Prefer turning and shifting at the top, then dropping, when that reaches the same spot.
+    if (result.target && rotation.kicks) {
+      const reached = (x, y, r) => this.core.reached(x, y, r);
+      const direct = this.findDirectPath(startState, result.target, pieceType, reached, fits);
+      if (direct) result.path = direct;
     }
+    return result;
+  }
 
-    this.target = bestState;
-    this.targetScore = bestScore;
+  /**
+   * Build a "rotate, shift, then drop" path from start to target
+   * Every intermediate state must have been reached by the BFS, so the path respects
+   * the same player-avoidance constraints as the search.
+   * @param {Object} start - {x, y, rotation}
+   * @param {Object} target - {x, y, rotation}
+   * @param {string} type - Piece type
+   * @param {Function} reached - (x, y, rotation) => whether the BFS reached that state
+   * @param {Function} fits - (x, y, shape) => boolean placement check
+   * @returns {Array<Object>|null} Path steps (excluding start), or null if not possible
+   */
+  findDirectPath(start, target, type, reached, fits) {
+    const rotation = this.engine.rotationSystem;
+    const path = [];
+    let state = { ...start, type };
+    const step = (next) => {
+      if (!next || !reached(next.x, next.y, next.rotation)) return false;
+      state = { x: next.x, y: next.y, rotation: next.rotation, type };
+      path.push({ x: next.x, y: next.y, rotation: next.rotation });
+      return true;
+    };
 
-    // Track target changes for meaningful retarget counting
-    const newTargetKey = bestState ? `${bestState.x},${bestState.y},${bestState.rotation}` : null;
-    if (playerTriggered && this.lastTargetKey !== null && newTargetKey !== this.lastTargetKey) {
-      // Target actually changed due to player movement - count it
-      this.retargetCount++;
+    // Turn (kicks may shift the piece), at most a half turn
+    for (let i = 0; i < 2 && state.rotation !== target.rotation; i++) {
+      if (!step(rotation.rotateToward(state, target.rotation, fits))) return null;
     }
-    this.lastTargetKey = newTargetKey;
+    if (state.rotation !== target.rotation || state.y > target.y) return null;
 
-    // Track player position for change detection
-    if (this.engine.player) {
-      this.lastPlayerGridX = this.engine.getPlayerGridX();
+    // Shift, then drop
+    const shape = rotation.getShape(type, target.rotation);
+    while (state.x !== target.x) {
+      const x = state.x + Math.sign(target.x - state.x);
+      if (!fits(x, state.y, shape) || !step({ x, y: state.y, rotation: state.rotation })) return null;
     }
-
-    this.path = [];
-    if (bestState) {
-      let currKey = `${bestState.x},${bestState.y},${bestState.rotation}`;
-      this.path.unshift({ x: bestState.x, y: bestState.y, rotation: bestState.rotation });
-
-      while (currKey !== startKey) {
-        const info = parents.get(currKey);
-        if (!info) break;
-        const [px, py, prot] = info.parentKey.split(",").map(Number);
-        this.path.unshift({ x: px, y: py, rotation: prot });
-        currKey = info.parentKey;
-      }
-      if (this.path.length > 0) {
-        this.path.shift();
+    while (state.y < target.y) {
+      if (!fits(state.x, state.y + 1, shape) || !step({ x: state.x, y: state.y + 1, rotation: state.rotation })) {
+        return null;
       }
     }
+    return path;
   }
 
   /**
@@ -397,16 +581,21 @@ export class AIController {
    * 7. Floating Penalty: Discourages placing pieces high without support
    * 
    * Difficulty modifies the weight of each component to create different AI behaviors.
+   *
+   * This is the reference scorer: it works on plain grid arrays and can explain a score term by
+   * term. Searches score through SearchCore, which computes the same features on bitboards and
+   * combines them with the same scoreBoard() formula.
    * 
    * @param {Object} piece - The piece being evaluated
    * @param {Array} shape - The piece shape
    * @param {Object} diffConfig - Difficulty configuration with scoring weights
    * @param {boolean} detailed - Whether to return detailed breakdown
+   * @param {Array<Array>} grid - Grid to evaluate against (defaults to the live grid; used for lookahead)
    * @returns {number|Object} Score or detailed breakdown object
    */
-  evaluatePosition(piece, shape, diffConfig, detailed = false) {
+  evaluatePosition(piece, shape, diffConfig, detailed = false, grid = this.engine.grid) {
     // Create hypothetical grid with piece placed
-    let tempGrid = this.engine.grid.map((row) => [...row]);
+    let tempGrid = grid.map((row) => [...row]);
 
     for (let y = 0; y < shape.length; y++) {
       for (let x = 0; x < shape[y].length; x++) {
@@ -418,21 +607,13 @@ export class AIController {
       }
     }
 
-    const diff = diffConfig;
     const COLS = this.engine.constants.COLS;
-    const MID = Math.floor(COLS / 2);
 
     // Line clearing: Count and reward completed lines
     let completedLines = 0;
     for (let y = 0; y < this.engine.constants.ROWS; y++) {
       if (tempGrid[y].every((c) => c)) completedLines++;
     }
-    let linesScore = completedLines * diff.lineReward;
-    let multiLineBonus = 0;
-    if (completedLines > 0 && diff.multiLineBonus) {
-      if (completedLines >= 4) multiLineBonus = 150;
-      else if (completedLines >= 2) multiLineBonus = 50;
-    }
 
     // Grid after line clears
     let gridAfter = tempGrid.filter((row) => !row.every((c) => c));
@@ -473,65 +654,32 @@ export class AIController {
     for (let x = 0; x < COLS - 1; x++) bumpiness += Math.abs(heights[x] - heights[x + 1]);
 
     // Terrain traversability analysis
-    const funnelBounds = this.calculateFunnelBounds(heights);
-    const terrainResult = this.evaluateTerrainPenalty(heights, diff, funnelBounds, detailed);
-    const terrainPenalty = detailed ? terrainResult.penalty : terrainResult;
-    const cliffs = detailed ? terrainResult.cliffs : null;
-
-    // Calculate individual score components
-    const holesScore = holes * diff.holeReward;
-    const coveredHolesScore = coveredHoles * diff.coveredHoleReward;
-    const heightScore = heights.reduce((a, b) => a + b, 0) * diff.heightReward;
-    const maxBoardHeight = Math.max(...heights);
-    const maxHeightScore = maxBoardHeight * diff.maxHeightReward;
-
-    let dangerScore = 0;
-    if (maxBoardHeight >= this.engine.constants.ROWS - this.engine.constants.AI_PANIC_HEIGHT) {
-      dangerScore = -100000;
-    } else if (maxBoardHeight >= this.engine.constants.ROWS - this.engine.constants.AI_WARNING_HEIGHT) {
-      dangerScore = -20000;
-    }
-
-    const bumpinessScore = bumpiness * diff.bumpinessReward;
-
-    const minEdge = Math.min(heights[0], heights[COLS - 1]);
-    const edgeScore = (10 - minEdge) * 3;
-
-    const pieceBottom = piece.y + piece.shape.length;
-    const floatingScore = pieceBottom < 4 ? -(4 - pieceBottom) * 30 : 0;
+    const rules = this.getScoringRules();
+    const cliffs = detailed ? [] : null;
+    const terrain = terrainPenalty(heights, rules, diffConfig, cliffs);
 
-    // Sum all components
-    const total =
-      linesScore +
-      multiLineBonus +
-      holesScore +
-      coveredHolesScore +
-      heightScore +
-      maxHeightScore +
-      dangerScore +
-      bumpinessScore +
-      terrainPenalty +
-      edgeScore +
-      floatingScore;
+    const features = {
+      lines: completedLines,
+      heights,
+      heightSum: heights.reduce((a, b) => a + b, 0),
+      maxHeight: Math.max(...heights),
+      holes,
+      coveredHoles,
+      bumpiness,
+      terrain,
+      pieceBottom: piece.y + piece.shape.length,
+    };
 
     if (!detailed) {
-      return total;
+      return scoreBoard(features, rules, diffConfig);
     }
 
     // Return detailed breakdown
+    const breakdown = {};
+    scoreBoard(features, rules, diffConfig, breakdown);
+    const bounds = funnelBounds(heights, COLS);
     return {
-      lines: linesScore,
-      multiLineBonus,
-      holes: holesScore,
-      coveredHoles: coveredHolesScore,
-      height: heightScore,
-      maxHeight: maxHeightScore,
-      danger: dangerScore,
-      bumpiness: bumpinessScore,
-      terrain: terrainPenalty,
-      edge: edgeScore,
-      floating: floatingScore,
-      total,
+      ...breakdown,
       // Raw values for analysis
       heights,
       rawLines: completedLines,
@@ -539,19 +687,136 @@ export class AIController {
       rawCoveredHoles: coveredHoles,
       rawBumpiness: bumpiness,
       funnelInfo: {
-        leftValid: funnelBounds.leftFunnelValidUntil,
-        rightValid: funnelBounds.rightFunnelValidUntil,
-        cliffs: cliffs || [],
+        leftValid: bounds.leftFunnelValidUntil,
+        rightValid: bounds.rightFunnelValidUntil,
+        cliffs,
       },
     };
   }
 
+  /**
+   * Place a piece on a copy of a grid and remove any completed lines
+   * @param {Array<Array>} grid - Source grid (not modified)
+   * @param {Object} piece - Piece position ({x, y})
+   * @param {Array} shape - Piece shape
+   * @returns {Array<Array>} Resulting grid
+   */
+  simulatePlacement(grid, piece, shape) {
+    const ROWS = this.engine.constants.ROWS;
+    const COLS = this.engine.constants.COLS;
+    const placed = grid.map((row) => [...row]);
+
+    for (let y = 0; y < shape.length; y++) {
+      for (let x = 0; x < shape[y].length; x++) {
+        const gy = piece.y + y;
+        if (shape[y][x] && gy >= 0 && gy < ROWS) placed[gy][piece.x + x] = true;
+      }
+    }
+
+    const remaining = placed.filter((row) => !row.every((c) => c));
+    while (remaining.length < ROWS) remaining.unshift(Array(COLS).fill(null));
+    return remaining;
+  }
+
+  /**
+   * Find where a shape comes to rest when dropped straight down from the spawn row
+   * @param {Array<Array>} grid - Grid to drop onto
+   * @param {Array} shape - Piece shape
+   * @param {number} x - Column of the shape's left edge
+   * @returns {number|null} Resting y, or null if the shape does not fit at the spawn row
+   */
+  findDropY(grid, shape, x) {
+    const fits = (y) => {
+      for (let py = 0; py < shape.length; py++) {
+        for (let px = 0; px < shape[py].length; px++) {
+          if (!shape[py][px]) continue;
+          const gy = y + py;
+          if (gy >= this.engine.constants.ROWS) return false;
+          if (gy >= 0 && grid[gy][x + px]) return false;
+        }
+      }
+      return true;
+    };
+
+    if (!fits(0)) return null;
+    let y = 0;
+    while (fits(y + 1)) y++;
+    return y;
+  }
+
+  /**
+   * Best value a piece can reach on a grid in a lookahead ply
+   * Only straight drops are considered; that keeps the later plies cheap while still
+   * capturing whether a placement leaves good spots for the pieces after it. Before the
+   * last ply, only the `lookahead.width` drops that score best on their own are followed.
+   * @param {Array<Array>} grid - Grid after the placements so far
+   * @param {string} type - Piece type of this ply
+   * @param {Object} diffConfig - Difficulty configuration
+   * @param {Object} lookahead - From getLookahead()
+   * @param {number} ply - Index of this ply in lookahead.plies
+   * @returns {number|null} Best value, or null if the piece cannot be placed at all
+   */
+  evaluateNextPiece(grid, type, diffConfig, lookahead, ply) {
+    const shapes = this.engine.rotationSystem.getShapes(type);
+    const drops = [];
+
+    for (let rotation = 0; rotation < shapes.length; rotation++) {
+      const shape = shapes[rotation];
+      for (let x = 0; x <= this.engine.constants.COLS - shape[0].length; x++) {
+        const y = this.findDropY(grid, shape, x);
+        if (y === null) continue;
+        const piece = { x, y, rotation, shape, type };
+        drops.push({ piece, score: this.evaluatePosition(piece, shape, diffConfig, false, grid) });
+      }
+    }
+    if (drops.length === 0) return null;
+    if (ply + 1 === lookahead.plies.length) return Math.max(...drops.map((drop) => drop.score));
+
+    const kept = drops.sort((a, b) => b.score - a.score).slice(0, lookahead.width);
+    let best = -Infinity;
+    for (const { piece } of kept) {
+      best = Math.max(best, this.evaluateWithLookahead(piece, piece.shape, diffConfig, lookahead, ply + 1, grid));
+    }
+    return best;
+  }
+
+  /**
+   * Score a landing spot by its line rewards plus the best the later pieces can do after it
+   * Line rewards of every placement are kept; the board shape is judged after the last ply.
+   * Plies with several possible pieces average their values by piece weight.
+   * This is the reference for SearchCore's beam search (`node simulate.js --bench` compares them).
+   * @param {Object} piece - Candidate resting position
+   * @param {Array} shape - Piece shape
+   * @param {Object} diffConfig - Difficulty configuration
+   * @param {Object} lookahead - From getLookahead()
+   * @param {number} [ply] - Lookahead ply after this placement
+   * @param {Array<Array>} [grid] - Grid the piece is placed on
+   * @returns {number} Combined score
+   */
+  evaluateWithLookahead(piece, shape, diffConfig, lookahead, ply = 0, grid = this.engine.grid) {
+    const first = this.evaluatePosition(piece, shape, diffConfig, true, grid);
+    if (ply === lookahead.plies.length) return first.total;
+    const gridAfter = this.simulatePlacement(grid, piece, shape);
+
+    let total = 0;
+    for (const { type, weight } of lookahead.plies[ply]) {
+      const best = this.evaluateNextPiece(gridAfter, type, diffConfig, lookahead, ply);
+      // The piece could not even spawn: as bad as topping out
+      const value = best === null
+        ? first.total + this.engine.constants.AI_PANIC_PENALTY * this.getBoardScale()
+        : first.lines + first.multiLineBonus + best;
+      total += weight * value;
+    }
+    return total;
+  }
+
   /**
    * Update AI state and execute moves toward target
    * Handles erratic movement during sabotage and pathfinding execution
    */
   update() {
     if (!this.engine.currentPiece) return;
+    this.applyPendingTarget();
     this.moveCount++;
 
     if (this.engine.timers.sabotage > 0 && this.state === "erratic") {
@@ -643,11 +908,12 @@ export class AIController {
       let success = false;
 
       if (piece.rotation !== targetState.rotation) {
-        const newRot = targetState.rotation;
-        const newShape = getShape(piece.type, newRot);
-        if (this.engine.canPlacePieceWithPlayer(piece, 0, 0, newShape)) {
-          piece.rotation = newRot;
-          piece.shape = newShape;
+        // Classic swaps straight to the target shape; SRS turns one step (with kicks) per move
+        const rotated = this.engine.rotationSystem.rotateToward(piece, targetState.rotation, (x, y, shape) =>
+          this.engine.canPlacePieceWithPlayer({ x, y }, 0, 0, shape)
+        );
+        if (rotated) {
+          Object.assign(piece, rotated);
           success = true;
         }
       } else if (piece.x !== targetState.x) {
@@ -668,8 +934,8 @@ export class AIController {
           this.path = [];
           this.target = { x: piece.x, y: piece.y + dropDistance, rotation: piece.rotation };
         } else {
-          // Still have room - recalculate path
-          this.calculateTarget(null, this.engine.isPlayerInDangerZone());
+          // Still have room - recalculate path (used from the next move on)
+          this.requestTarget(this.engine.isPlayerInDangerZone());
         }
       }
     }
@@ -0,0 +1,76 @@
+/**
+ * AI Worker Client
+ *
+ * Runs the AI's target searches in a module worker (worker.js) so the BFS and
+ * lookahead scoring do not stall rendering. Pass an instance to the engine as
+ * `aiWorker`; AIController.requestTarget() posts searches through search() and
+ * the engine collects them with take() between frames, following the current
+ * path meanwhile. Once the worker fails, searches run on the main thread.
+ */
+
+export class AIWorker {
+  /**
+   * @param {URL|string} [url] - Worker script (default: worker.js next to this module)
+   */
+  constructor(url = new URL('./worker.js', import.meta.url)) {
+    this.worker = new Worker(url, { type: "module" });
+    // Tickets are never reused, so a late result cannot be taken for a later search (or game)
+    this.nextTicket = 1;
+    // Only the newest search can still be applied; results for older ones are dropped
+    this.latestTicket = null;
+    this.results = new Map();
+    this.failed = false;
+
+    this.worker.onmessage = (event) => {
+      const { ticket, result, error } = event.data;
+      if (error) {
+        console.error("AI worker search failed, searching on the main thread:", error);
+        this.terminate();
+        return;
+      }
+      if (ticket === this.latestTicket) this.results.set(ticket, result);
+    };
+    this.worker.onerror = (event) => {
+      console.error("AI worker stopped, searching on the main thread:", event.message);
+      event.preventDefault();
+      this.terminate();
+    };
+  }
+
+  /**
+   * Start a search
+   * @param {Object} request - From AIController.requestTarget(), with its search context
+   * @returns {number|null} Ticket to take() the result with, or null when the worker did not
+   *   take the search (compute it in place)
+   */
+  search(request) {
+    if (this.failed) return null;
+    const ticket = this.nextTicket++;
+    this.latestTicket = ticket;
+    this.results.clear();
+    try {
+      this.worker.postMessage({ ticket, request });
+      return ticket;
+    } catch (e) {
+      console.error("Could not send the search to the AI worker:", e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Collect a finished search
+   * @param {number} ticket - From search()
+   * @returns {Object|null} Result as from AIController.searchFromRequest(), or null while it is still running
+   */
+  take(ticket) {
+    const result = this.results.get(ticket) ?? null;
+    this.results.delete(ticket);
+    return result;
+  }
+
+  terminate() {
+    this.failed = true;
+    this.results.clear();
+    this.worker.terminate();
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Key Bindings
+ *
+ * The game is driven by actions rather than raw key codes. KeyBindings maps
+ * KeyboardEvent.code values onto actions, detects conflicts when rebinding,
+ * and persists the player's choices in localStorage.
+ */
+
+// Action names with their labels for the controls screen
+export const ACTIONS = {
+  left: "Move Left",
+  right: "Move Right",
+  jump: "Jump",
+  sabotage: "Sabotage",
+  pause: "Pause",
+  dumpState: "Dump State (debug)",
+  rewindBack: "Rewind (debug)",
+  rewindForward: "Step Forward (debug)",
+};
+
+// Actions held down continuously (read by the engine every update); the rest fire once per press
+export const HELD_ACTIONS = ["left", "right", "jump"];
+
+// Keys per action; each action has up to BINDING_SLOTS keys
+export const DEFAULT_BINDINGS = {
+  left: ["ArrowLeft", "KeyA"],
+  right: ["ArrowRight", "KeyD"],
+  jump: ["ArrowUp", "KeyW", "Space"],
+  sabotage: ["KeyS"],
+  pause: ["KeyP", "Escape"],
+  dumpState: ["F9"],
+  rewindBack: ["F7"],
+  rewindForward: ["F8"],
+};
+
+export const BINDING_SLOTS = 3;
+
+const STORAGE_KEY = "tescape.bindings";
+
+export class KeyBindings {
+  /**
+   * @param {Storage|null} [storage] - Where bindings persist (default: localStorage when available)
+   */
+  constructor(storage = typeof localStorage !== "undefined" ? localStorage : null) {
+    this.storage = storage;
+    this.bindings = cloneBindings(DEFAULT_BINDINGS);
+    this.load();
+  }
+
+  /**
+   * @param {string} code - KeyboardEvent.code
+   * @returns {string|null} Action bound to the key
+   */
+  actionFor(code) {
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      if (codes.includes(code)) return action;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} action
+   * @returns {Array<string>} Key codes bound to the action
+   */
+  keysFor(action) {
+    return this.bindings[action] || [];
+  }
+
+  /**
+   * Bind a key to an action slot
+   * A key bound to a different action is a conflict and is rejected; the caller reports it.
+   * @param {string} action - Key of ACTIONS
+   * @param {number} slot - Index 0..BINDING_SLOTS-1
+   * @param {string|null} code - KeyboardEvent.code, or null to clear the slot
+   * @returns {{ok: boolean, conflict?: string}} conflict is the action that already uses the key
+   */
+  rebind(action, slot, code) {
+    if (!ACTIONS[action]) throw new Error(`Unknown action "${action}"`);
+    if (slot < 0 || slot >= BINDING_SLOTS) throw new Error(`Binding slot ${slot} out of range`);
+
+    const codes = [...this.bindings[action]];
+    if (code !== null) {
+      const owner = this.actionFor(code);
+      if (owner && owner !== action) return { ok: false, conflict: owner };
+      // Already bound to this action in another slot: move it
+      const existing = codes.indexOf(code);
+      if (existing !== -1) codes.splice(existing, 1);
+    }
+
+    if (slot >= codes.length) {
+      if (code !== null) codes.push(code);
+    } else if (code === null) {
+      codes.splice(slot, 1);
+    } else {
+      codes[slot] = code;
+    }
+
+    this.bindings[action] = codes;
+    this.save();
+    return { ok: true };
+  }
+
+  resetToDefaults() {
+    this.bindings = cloneBindings(DEFAULT_BINDINGS);
+    this.save();
+  }
+
+  load() {
+    if (!this.storage) return;
+    let saved;
+    try {
+      saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+    } catch (e) {
+      console.error("Ignoring unreadable key bindings:", e.message);
+      return;
+    }
+    if (!saved || typeof saved.bindings !== "object") return;
+
+    // Take saved actions that still exist; keys claimed by an earlier action are dropped
+    const bindings = {};
+    const used = new Set();
+    for (const action of Object.keys(ACTIONS)) {
+      const codes = Array.isArray(saved.bindings[action]) ? saved.bindings[action] : DEFAULT_BINDINGS[action];
+      bindings[action] = codes
+        .filter((code) => typeof code === "string" && !used.has(code))
+        .slice(0, BINDING_SLOTS);
+      bindings[action].forEach((code) => used.add(code));
+    }
+    this.bindings = bindings;
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, bindings: this.bindings }));
+    } catch (e) {
+      console.error("Could not save key bindings:", e.message);
+    }
+  }
+}
+
+/**
+ * Short label for a key code ("KeyA" -> "A", "ArrowLeft" -> "←")
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string}
+ */
+export function keyLabel(code) {
+  const arrows = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+  if (arrows[code]) return arrows[code];
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code === "Escape") return "Esc";
+  return code;
+}
+
+function cloneBindings(bindings) {
+  const copy = {};
+  for (const [action, codes] of Object.entries(bindings)) copy[action] = [...codes];
+  return copy;
+}
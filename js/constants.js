@@ -1,22 +1,36 @@
 export const DEFAULT_CONSTANTS = {
-  COLS: 10,
-  ROWS: 20,
-  GRAVITY: 0.6,
-  JUMP_FORCE: -12.5, // Max jump ~3.6 cells (can't climb 4-cell cliffs)
-  MOVE_SPEED: 4,
-  TERMINAL_VELOCITY: 15,
+  // Key of BOARD_SIZES; the engine sets COLS and ROWS from the selected board
+  BOARD_SIZE: "standard",
+  ESCAPE_ZONE_ROWS: 2, // Reach this many rows from the top to win
+  // Player physics runs in fixed steps and in cell units (the renderer scales to pixels),
+  // so jumps relate to the grid the same way at any canvas size
+  PHYSICS_STEP: 1 / 60, // seconds
+  MAX_PHYSICS_STEPS: 10, // Per update() call; drops leftover time after long stalls
+  GRAVITY: 0.0171, // cells per step²
+  // Jump apex in cells; the engine derives JUMP_FORCE from it. Keep it between
+  // MAX_CLIMBABLE_HEIGHT and CLIFF_HEIGHT_THRESHOLD (3-cell steps climbable, 4-cell cliffs not)
+  JUMP_HEIGHT: 3.54,
+  MOVE_SPEED: 0.114, // cells per step
+  TERMINAL_VELOCITY: 0.43, // cells per step
+  PUSH_DOWN_SPEED: 0.06, // cells per step; least fall speed of a player pushed down under a piece
+  PLAYER_RUN_SMOOTHING: 0.05, // Share of each step's movement in player.runSpeed (a running average for the predictor)
+  COLLISION_STEP: 1 / 32, // cells; bodies this close to a cell edge do not overlap it, landing settles in these steps
   SPAWN_DELAY: 0.3, // seconds
+  PREVIEW_COUNT: 3, // Upcoming pieces shown in the preview queue
+  ROTATION_SYSTEM: "classic", // "classic" (in-place shape swap) or "srs" (Super Rotation System with kicks)
+  AI_PERSONALITY: "cautious", // Key of AI_PERSONALITIES
   LINE_HISTORY_WINDOW: 10,
   DEBUG_AI: true, // Show AI target and score
   
-  // Player dimensions as ratio of cell size
-  PLAYER_WIDTH_RATIO: 0.7,
-  PLAYER_HEIGHT_RATIO: 1.5,
+  // Player dimensions in cells
+  PLAYER_WIDTH: 0.7,
+  PLAYER_HEIGHT: 1.5,
   
   // Physics thresholds
   MAX_CLIMBABLE_HEIGHT: 3, // Max rows player can jump up
   CLIFF_HEIGHT_THRESHOLD: 4, // Height difference that creates a cliff
-  PIECE_LANDING_TOLERANCE: 4, // Pixels tolerance for landing on piece
+  PIECE_LANDING_TOLERANCE: 0.125, // Cells tolerance for landing on piece
+  NEAR_MISS_DISTANCE: 0.5, // Cells between a locking piece and the player that count as a near miss
   HORIZONTAL_OVERLAP_THRESHOLD: 0.5, // Ratio for horizontal push decision
   
   // AI Decision Constants
@@ -24,17 +38,48 @@ export const DEFAULT_CONSTANTS = {
   AI_FAST_DROP_HEIGHT: 6, // Minimum height for fast drop check
   AI_PANIC_HEIGHT: 2, // Rows from top that triggers panic mode
   AI_WARNING_HEIGHT: 4, // Rows from top for warning state
+  AI_FLOATING_HEIGHT: 4, // Rows from top where a landing piece is penalized (spawn area)
+  // Scores for stacks reaching the panic/warning rows, on the standard board (scaled by board area)
+  AI_PANIC_PENALTY: -100000,
+  AI_WARNING_PENALTY: -20000,
   AI_MAX_BFS_ITERATIONS: 4000, // Safety limit for pathfinding
+  // Lookahead plies past the preview queue; each searches every piece type, so deeper ones cost 7x each
+  AI_MAX_UNKNOWN_PLIES: 1,
+  PREDICTION_RUN_TIME: 0.25, // Seconds the AI expects the player to keep running (see predictor.js)
   
   // Visual/Particle Constants
   PARTICLES_PER_BLOCK: 6,
   PARTICLE_LIFETIME: 1, // seconds
   PARTICLE_DECAY_RATE: 2, // life reduction per second
-  PARTICLE_VELOCITY_RANGE: 8, // max velocity in any direction
+  PARTICLE_VELOCITY_RANGE: 0.25, // max velocity in any direction (cells per physics step)
   
   // Ground Check Constants
   GROUND_CHECK_WIDTH_RATIO: 0.5, // Center portion of player to check for ground
-  GROUND_CHECK_DISTANCE: 1, // Pixels below player to check
+  GROUND_CHECK_DISTANCE: 1 / 32, // Cells below player to check
+
+  RESUME_COUNTDOWN: 3, // Seconds counted down before play continues after a pause (when enabled)
+  REWIND_SECONDS: 10, // Game time kept for rewinding (engines created with rewind: true), a snapshot per frame
+
+  // Death
+  LINE_CLEAR_DEATH_DELAY: 0.5, // Seconds of game time between a line-clear death and game over (particles play)
+  // Recent state kept for the post-mortem of a death
+  DEATH_HISTORY_SECONDS: 3,
+  DEATH_HISTORY_INTERVAL: 0.05, // Seconds of game time between snapshots
+};
+
+// Ways the player can die (the type of engine.deathCause) and their game over messages
+export const DEATH_CAUSES = {
+  squished: "You got squished by a falling block!",
+  lineCleared: "You got cleared with the line!",
+  fieldFilled: "The playing field filled up!",
+};
+
+// Board presets in cells. AI weights are tuned on "standard"; the AI scales
+// board-dependent terms by the selected board's size relative to it.
+export const BOARD_SIZES = {
+  tight: { label: "Tight", cols: 8, rows: 16 },
+  standard: { label: "Standard", cols: 10, rows: 20 },
+  wide: { label: "Wide", cols: 12, rows: 24 },
 };
 
 export const TETROMINOES = {
@@ -181,6 +226,12 @@ export const DIFFICULTY_SETTINGS = {
     // Sabotage settings
     sabotageDuration: 1.5,
     sabotageCooldown: 3.0,
+    // Piece randomizer: "uniform", "bag7", "bag14" or "history" (see randomizer.js)
+    randomizer: "uniform",
+    // Two-ply search: also place the next preview piece when scoring targets
+    previewLookahead: false,
+    // Hold slot: AI may swap the current piece with the held one, once per spawn
+    aiHold: false,
   },
   normal: {
     // Speed and timing
@@ -213,6 +264,11 @@ export const DIFFICULTY_SETTINGS = {
     // Sabotage settings
     sabotageDuration: 1.5,
     sabotageCooldown: 5.0,
+    // Piece randomizer: "uniform", "bag7", "bag14" or "history" (see randomizer.js)
+    randomizer: "uniform",
+    // Two-ply search: also place the next preview piece when scoring targets
+    previewLookahead: false,
+    aiHold: false,
   },
   hard: {
     // Speed and timing
@@ -246,5 +302,73 @@ export const DIFFICULTY_SETTINGS = {
     // Sabotage settings
     sabotageDuration: 2.0,
     sabotageCooldown: 8.0,
+    // Piece randomizer: "uniform", "bag7", "bag14" or "history" (see randomizer.js)
+    randomizer: "uniform",
+    // Two-ply search: also place the next preview piece when scoring targets
+    previewLookahead: true,
+    aiHold: true,
+  },
+  expert: {
+    // Speed and timing
+    baseFallTick: 400,
+    aiMoveInterval: 40,
+    // Fast drop settings
+    spawnDropDelay: 0,
+    minFastDropHeight: 3,
+    minMovesBeforeFastDrop: 2,
+    // Line clearing: aggressive clearing
+    lineReward: 200,
+    multiLineBonus: true,
+    // Holes: severe penalty
+    holeReward: -100,
+    coveredHoleReward: 0,
+    // Height: penalize to keep stack low
+    heightReward: -4,
+    maxHeightReward: -5,
+    // Bumpiness: high penalty for flat surface (easier to clear)
+    bumpinessReward: -20,
+    // Terrain traversability (funnel-based)
+    funnelPenaltyBase: -10,
+    splitPenalty: -250,
+    // Avoiding player
+    dangerZoneMargin: 0.25,
+    dangerZoneReward: -75,
+    dangerZoneDecay: 0.4,
+    // Can the player complete lines?
+    playerCompletesLine: true,
+    lineClearDelay: 800,
+    // Sabotage settings
+    sabotageDuration: 2.0,
+    sabotageCooldown: 10.0,
+    // Piece randomizer: "uniform", "bag7", "bag14" or "history" (see randomizer.js)
+    randomizer: "uniform",
+    // Beam search: plan this many pieces past the current one (from the preview queue while
+    // previewLookahead is on, then AI_MAX_UNKNOWN_PLIES weighted by the randomizer's chances),
+    // following the beamWidth best placements of each piece. Search time grows with width^depth.
+    previewLookahead: true,
+    beamDepth: 3,
+    beamWidth: 6,
+    aiHold: true,
+  },
+};
+
+// How the AI treats the player, on top of the difficulty. Hunter rewards are counted in holes:
+// the hunter takes on that many of the difficulty's holeReward to get one.
+export const AI_PERSONALITIES = {
+  // Keeps pieces away from the player (the difficulty's dangerZone settings)
+  cautious: { label: "Cautious", hunt: null },
+  // Lands pieces on or beside where the player is heading
+  hunter: {
+    label: "Hunter",
+    hunt: {
+      margin: 1, // Cells beside the player that still count as near them
+      reward: 2, // For a piece landing near the player
+      trapReward: 3, // For leaving the player in a row one block short of complete (playerCompletesLine)
+      // Fairness limits: a piece covering every column the player can reach before it lands gets
+      // the difficulty's dangerZoneReward instead, so there is always a way out. On top of that:
+      streak: 3, // Hunts this many pieces in a row,
+      rest: 1, // then places this many for the stack alone
+      retargets: 2, // Follows the player this many times per piece, then commits to its target
+    },
   },
 };
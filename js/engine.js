@@ -1,21 +1,42 @@
-import { DEFAULT_CONSTANTS, TETROMINOES, DIFFICULTY_SETTINGS } from './constants.js';
-import { getShape, getRandomTetrominoType } from './utils.js';
+import {
+  DEFAULT_CONSTANTS,
+  TETROMINOES,
+  DIFFICULTY_SETTINGS,
+  BOARD_SIZES,
+  DEATH_CAUSES,
+  AI_PERSONALITIES,
+} from './constants.js';
 import { AIController } from './ai.js';
+import { SeededRandom } from './rng.js';
+import { createRandomizer } from './randomizer.js';
+import { getRotationSystem } from './rotation.js';
+import { ReplayRecorder } from './replay.js';
+import { EventEmitter, ENGINE_EVENTS } from './events.js';
+import { Scheduler } from './scheduler.js';
+import { readState, SAVE_FORMAT, SAVE_VERSION } from './savegame.js';
+import { RewindBuffer } from './rewind.js';
+import { predictPlayer } from './predictor.js';
 
 export class GameEngine {
   constructor(config = {}) {
-    this.width = config.width || 350;
-    this.height = config.height || 700;
-    this.onGameOver = config.onGameOver || (() => {});
-    this.onGameWin = config.onGameWin || (() => {});
-    this.onLineCleared = config.onLineCleared || (() => {});
+    // Subscribe with engine.events.on(name, handler); see ENGINE_EVENTS for names and payloads
+    this.events = new EventEmitter(ENGINE_EVENTS);
 
     // Calculate derived constants
     this.constants = { ...DEFAULT_CONSTANTS };
-    this.constants.CELL_SIZE = this.height / this.constants.ROWS;
-    this.constants.PLAYER_WIDTH = this.constants.CELL_SIZE * this.constants.PLAYER_WIDTH_RATIO;
-    this.constants.PLAYER_HEIGHT = this.constants.CELL_SIZE * this.constants.PLAYER_HEIGHT_RATIO;
-    
+
+    // Jump impulse whose apex is JUMP_HEIGHT cells with gravity applied before each step's move.
+    // The AI's cliff scoring assumes the player clears MAX_CLIMBABLE_HEIGHT but not CLIFF_HEIGHT_THRESHOLD.
+    const { JUMP_HEIGHT, MAX_CLIMBABLE_HEIGHT, CLIFF_HEIGHT_THRESHOLD } = this.constants;
+    if (JUMP_HEIGHT <= MAX_CLIMBABLE_HEIGHT || JUMP_HEIGHT >= CLIFF_HEIGHT_THRESHOLD) {
+      throw new Error(
+        `JUMP_HEIGHT ${JUMP_HEIGHT} must be between MAX_CLIMBABLE_HEIGHT ${MAX_CLIMBABLE_HEIGHT} ` +
+          `and CLIFF_HEIGHT_THRESHOLD ${CLIFF_HEIGHT_THRESHOLD}`
+      );
+    }
+    const g = this.constants.GRAVITY;
+    this.constants.JUMP_FORCE = -(g + Math.sqrt(g * g + 8 * g * JUMP_HEIGHT)) / 2;
+
     // Pre-calculate ground check dimensions (used frequently in physics loop)
     this.constants.GROUND_CHECK_WIDTH = this.constants.PLAYER_WIDTH * this.constants.GROUND_CHECK_WIDTH_RATIO;
     this.constants.GROUND_CHECK_OFFSET = (this.constants.PLAYER_WIDTH - this.constants.GROUND_CHECK_WIDTH) / 2;
@@ -23,14 +44,62 @@ export class GameEngine {
     // Simulation flags
     this.godMode = config.godMode || false;
 
+    // Fixed seed for reproducible runs (null = fresh random seed every game)
+    this.fixedSeed = config.seed ?? null;
+
+    // Piece randomizer override: strategy name or (rng) => randomizer factory.
+    // When null, the strategy comes from the selected difficulty.
+    this.randomizerOverride = config.randomizer ?? null;
+
+    // Rotation system, board size and AI personality used until selected explicitly
+    this.defaultRotationSystem = config.rotationSystem || this.constants.ROTATION_SYSTEM;
+    this.defaultBoardSize = config.boardSize || this.constants.BOARD_SIZE;
+    this.defaultPersonality = config.personality || this.constants.AI_PERSONALITY;
+
+    // Number of upcoming pieces kept in the preview queue
+    this.previewCount = config.previewCount ?? this.constants.PREVIEW_COUNT;
+
+    // Record every game so it can be downloaded and replayed exactly
+    this.recordReplay = config.recordReplay ?? true;
+    this.replay = null;
+
+    // Keep snapshots of the last seconds for rewinding (debugging; off by default since it costs a dump per step)
+    this.rewindEnabled = config.rewind ?? false;
+
+    // Runs the AI's target searches off the main thread (see aiworker.js); null searches in place
+    this.aiWorker = config.aiWorker ?? null;
+
     this.reset();
   }
 
-  reset() {
-    // Current game status: 'start', 'playing', 'paused', 'gameover', 'win'
+  /**
+   * Reset all per-game state
+   * @param {number} [seed] - RNG seed for this game (defaults to config seed or a fresh one)
+   */
+  reset(seed) {
+    // Current game status: 'start', 'playing', 'paused', 'countdown' (resuming), 'gameover', 'win'
     this.status = "start";
+    // Seconds left before a resume countdown hands control back
+    this.countdown = 0;
 
-    // The 20x10 grid storing locked blocks (colors) or null
+    // Single source of randomness for the whole game
+    this.seed = seed ?? this.fixedSeed ?? SeededRandom.generateSeed();
+    this.rng = new SeededRandom(this.seed);
+
+    // Game Settings - Preserve existing settings if available, otherwise default
+    if (!this.settings) {
+      this.settings = {
+        difficulty: "normal",
+        speed: 1.0,
+        diffConfig: DIFFICULTY_SETTINGS.normal,
+        rotationSystem: this.defaultRotationSystem,
+        boardSize: this.defaultBoardSize,
+        personality: this.defaultPersonality,
+      };
+    }
+    this.applyBoardSize();
+
+    // The ROWS x COLS grid storing locked blocks (colors) or null
     this.grid = Array(this.constants.ROWS)
       .fill()
       .map(() => Array(this.constants.COLS).fill(null));
@@ -38,6 +107,10 @@ export class GameEngine {
     this.player = null;
     this.currentPiece = null;
 
+    // Hold slot (piece type) and whether it was already used for the current spawn
+    this.heldPiece = null;
+    this.holdUsed = false;
+
     // Flag to prevent multiple spawns during delay
     this.waitingForPiece = false;
 
@@ -45,6 +118,7 @@ export class GameEngine {
     this.timers = {
       pieceFall: 0, // Accumulator for gravity interval
       aiMove: 0, // Accumulator for AI movement
+      physics: 0, // Accumulator for fixed player physics steps (seconds)
       spawn: 0, // Countdown for spawning next piece
       sabotage: 0, // Duration remaining for sabotage effect
       sabotageCooldown: 0, // Cooldown remaining before next sabotage
@@ -56,6 +130,7 @@ export class GameEngine {
       time: 0,
       linesCleared: 0,
       pieceCount: 0,
+      holds: 0,
       recentLines: [], // Track recent clears for difficulty adjustment if needed
     };
 
@@ -64,32 +139,66 @@ export class GameEngine {
 
     this.sabotageQueued = false;
 
-    // Game Settings - Preserve existing settings if available, otherwise default
-    if (!this.settings) {
-      this.settings = {
-        difficulty: "normal",
-        speed: 1.0,
-        diffConfig: DIFFICULTY_SETTINGS.normal,
-      };
-    }
+    // Shapes and rotation rules (classic or SRS)
+    this.rotationSystem = getRotationSystem(this.settings.rotationSystem);
+
+    // Decides which piece comes next
+    this.randomizer = this.createPieceRandomizer();
+
+    // Upcoming piece types (front = next to spawn)
+    this.nextPieces = [];
+    this.fillPreviewQueue();
 
     // Visual effects (managed by engine but rendered by UI)
     this.particles = [];
 
+    // Delayed actions, run on game time by update()
+    this.scheduler = new Scheduler();
+
+    // Snapshots of the last DEATH_HISTORY_SECONDS, oldest first, for the post-mortem
+    this.recentHistory = [];
+    this.historyGrid = null; // Latest grid copy, shared by snapshots until the grid changes
+    // Set when the player dies (see createDeathCause); stays null for wins and unfinished games
+    this.deathCause = null;
+
+    // Snapshots of the last REWIND_SECONDS, one per frame but at most one per PHYSICS_STEP (see
+    // recordRewind()), and the one shown while rewinding (null when not)
+    this.rewind = this.rewindEnabled
+      ? new RewindBuffer(Math.ceil(this.constants.REWIND_SECONDS / this.constants.PHYSICS_STEP))
+      : null;
+    this.rewindCursor = null;
+    this.rewindClock = 0; // Game time since the last snapshot (seconds)
+
     // Input state
-    this.input = { keys: {} };
+    this.input = { actions: {} };
+  }
+
+  /**
+   * Size the world for the selected board: COLS/ROWS and the world width/height
+   * (positions, sizes and velocities are all in cells)
+   */
+  applyBoardSize() {
+    const size = BOARD_SIZES[this.settings.boardSize];
+    if (!size) throw new Error(`Unknown board size "${this.settings.boardSize}"`);
+    this.constants.COLS = size.cols;
+    this.constants.ROWS = size.rows;
+    this.width = size.cols;
+    this.height = size.rows;
   }
 
   initPlayer() {
     this.player = {
       x: this.width / 2 - this.constants.PLAYER_WIDTH / 2,
-      y: this.height - this.constants.PLAYER_HEIGHT - 5,
+      y: this.height - this.constants.PLAYER_HEIGHT - 0.15, // Drops onto the floor
       vx: 0,
       vy: 0,
+      runSpeed: 0, // Smoothed cells per step, for the AI's player prediction
       onGround: true,
       facingRight: true,
       dead: false,
     };
+    this.player.prevX = this.player.x;
+    this.player.prevY = this.player.y;
   }
 
   /**
@@ -99,48 +208,75 @@ export class GameEngine {
   getPlayerGridX() {
     if (!this.player) return -1;
     const centerX = this.player.x + this.constants.PLAYER_WIDTH / 2;
-    return Math.floor(centerX / this.constants.CELL_SIZE);
+    return Math.floor(centerX);
   }
 
   /**
    * Get player's danger zone column range
+   * With a prediction it covers the player's way from where they are to where they are expected.
    * @param {number} margin - Margin in grid cells
+   * @param {Object|null} [prediction] - From predictPlayer()
    * @returns {{left: number, right: number}} Column range
    */
-  getPlayerDangerZone(margin) {
+  getPlayerDangerZone(margin, prediction = null) {
     if (!this.player) return null;
+    const to = prediction ? prediction.x : this.player.x;
     return {
-      left: Math.floor(this.player.x / this.constants.CELL_SIZE - margin),
-      right: Math.ceil((this.player.x + this.constants.PLAYER_WIDTH) / this.constants.CELL_SIZE + margin)
+      left: Math.floor(Math.min(this.player.x, to) - margin),
+      right: Math.ceil(Math.max(this.player.x, to) + this.constants.PLAYER_WIDTH + margin)
     };
   }
 
+  /**
+   * Where the player is expected to be when the falling piece lands (see predictor.js)
+   * @returns {Object|null} Prediction, or null without a player
+   */
+  predictPlayer() {
+    return predictPlayer(this, this.getLandingTime());
+  }
+
   /**
    * Get player's grid bounds
+   * @param {{x: number, y: number}} [position] - Where the player is (defaults to the player; e.g. a prediction)
    * @returns {{left: number, right: number, top: number, bottom: number}}
    */
-  getPlayerGridBounds() {
-    if (!this.player) return null;
+  getPlayerGridBounds(position = this.player) {
+    if (!position) return null;
+    const edge = this.constants.COLLISION_STEP;
     return {
-      left: Math.floor(this.player.x / this.constants.CELL_SIZE),
-      right: Math.floor((this.player.x + this.constants.PLAYER_WIDTH - 1) / this.constants.CELL_SIZE),
-      top: Math.floor(this.player.y / this.constants.CELL_SIZE),
-      bottom: Math.floor((this.player.y + this.constants.PLAYER_HEIGHT - 1) / this.constants.CELL_SIZE)
+      left: Math.floor(position.x),
+      right: Math.floor(position.x + this.constants.PLAYER_WIDTH - edge),
+      top: Math.floor(position.y),
+      bottom: Math.floor(position.y + this.constants.PLAYER_HEIGHT - edge)
     };
   }
 
-  start() {
-    this.reset();
+  /**
+   * Start a new game
+   * @param {number} [seed] - RNG seed for this game
+   */
+  start(seed) {
+    this.reset(seed);
     this.initPlayer();
     this.status = "playing";
     this.waitingForPiece = true;
     this.timers.spawn = 0.5;
+    this.replay = this.recordReplay ? new ReplayRecorder(this) : null;
+    this.events.emit("gameStarted", { seed: this.seed, settings: { ...this.settings } });
   }
 
   update(dt, inputState) {
+    // Nothing but the countdown moves until play resumes, and no frames are recorded
+    if (this.status === "countdown") {
+      this.updateCountdown(dt);
+      return;
+    }
     if (this.status !== "playing") return;
 
-    this.input = inputState || { keys: {} };
+    this.input = inputState || { actions: {} };
+    // Replay playback takes AI search results where the replay says instead (see collectAIResult())
+    if (!this.input.replayed) this.collectAIResult();
+    if (this.replay) this.replay.recordFrame(dt, this.input.actions);
     this.stats.time += dt;
 
     // Update timers
@@ -154,10 +290,98 @@ export class GameEngine {
       }
     }
 
-    this.updatePlayer(dt);
+    this.stepPlayerPhysics(dt);
     this.updatePlayerLineClear(dt);
     this.updatePiece(dt);
-    this.updateParticles(dt);
+    this.updateParticles(dt * this.settings.speed);
+    this.scheduler.update(dt * this.settings.speed);
+    this.recordHistory();
+    // Frames after a death (particles and the line-clear delay) cannot be continued
+    if (this.rewind && !this.deathCause) this.recordRewind(dt);
+  }
+
+  /**
+   * Take in the AI's pending search result if it is in, to be applied at the next AI move
+   * Results come in between frames, as soon as the worker has them, so the frame a game takes one
+   * at depends on the machine. Replays record that frame ("aiResult" event) and their playback
+   * takes the result there, waiting for the search if the worker is slower than it was.
+   * @param {boolean} [wait] - Search on the main thread when the worker has not answered yet
+   */
+  collectAIResult(wait = false) {
+    if (this.ai.collectResult(wait) && this.replay) this.replay.recordEvent("aiResult");
+  }
+
+  /**
+   * Snapshot the frame for rewinding, at most once per PHYSICS_STEP of game time so fast displays
+   * do not fill the buffer early, and drop snapshots older than REWIND_SECONDS so slow ones do not
+   * keep more. Rewinding steps through these snapshots: frames, or physics steps above 60 fps.
+   * @param {number} dt - Delta time of the frame in seconds
+   */
+  recordRewind(dt) {
+    const step = this.constants.PHYSICS_STEP;
+    this.rewindClock += dt;
+    if (this.rewindClock < step && this.rewind.length > 0) return;
+    this.rewindClock %= step;
+    this.rewind.push(this.dumpState());
+
+    const oldest = this.stats.time - this.constants.REWIND_SECONDS;
+    while (this.rewind.get(0).stats.time < oldest) this.rewind.shift();
+  }
+
+  /**
+   * Snapshot the grid, falling piece and player every DEATH_HISTORY_INTERVAL
+   * seconds, keeping the last DEATH_HISTORY_SECONDS
+   * @param {boolean} [force] - Snapshot now regardless of the interval
+   */
+  recordHistory(force = false) {
+    const history = this.recentHistory;
+    const time = this.stats.time;
+    const last = history[history.length - 1];
+    if (!force && last && time - last.time < this.constants.DEATH_HISTORY_INTERVAL) return;
+
+    // The grid only changes when a piece locks or rows are removed (which replaces it)
+    const grid = this.historyGrid;
+    if (!grid || grid.source !== this.grid || grid.pieceCount !== this.stats.pieceCount) {
+      this.historyGrid = { source: this.grid, pieceCount: this.stats.pieceCount, cells: this.grid.map((r) => [...r]) };
+    }
+
+    const piece = this.currentPiece;
+    const player = this.player;
+    history.push({
+      time,
+      grid: this.historyGrid.cells,
+      piece: piece ? { ...this.describePiece(piece), shape: piece.shape, color: piece.color } : null,
+      player: player && {
+        x: player.x,
+        y: player.y,
+        vx: player.vx,
+        vy: player.vy,
+        facingRight: player.facingRight,
+        onGround: player.onGround,
+      },
+    });
+    while (history[0].time < time - this.constants.DEATH_HISTORY_SECONDS) history.shift();
+  }
+
+  /**
+   * Describe how the player died, with the state leading up to it
+   * @param {string} type - Key of DEATH_CAUSES
+   * @param {Object|null} piece - The piece responsible, if any
+   * @param {Object} [details] - Cause-specific fields (e.g. rows for lineCleared)
+   * @returns {{type: string, message: string, piece: Object|null, player: Object|null, time: number,
+   *   history: Array<Object>}}
+   */
+  createDeathCause(type, piece, details = {}) {
+    this.recordHistory(true);
+    return {
+      type,
+      message: DEATH_CAUSES[type],
+      piece: piece ? this.describePiece(piece) : null,
+      player: this.player ? { x: this.player.x, y: this.player.y } : null,
+      time: this.stats.time,
+      history: [...this.recentHistory],
+      ...details,
+    };
   }
 
   /**
@@ -209,19 +433,64 @@ export class GameEngine {
   }
 
   /**
-   * Update player physics, movement, and check win condition
+   * Run player physics in fixed PHYSICS_STEP increments so jump height and run
+   * speed do not depend on the frame rate. Leftover time carries over to the
+   * next call and is used to interpolate the rendered position.
    * @param {number} dt - Delta time in seconds
    */
+  stepPlayerPhysics(dt) {
+    const step = this.constants.PHYSICS_STEP;
+    this.timers.physics += dt;
+
+    let steps = 0;
+    while (this.timers.physics >= step && this.status === "playing") {
+      if (steps === this.constants.MAX_PHYSICS_STEPS) {
+        this.timers.physics %= step;
+        break;
+      }
+      if (this.player) {
+        this.player.prevX = this.player.x;
+        this.player.prevY = this.player.y;
+      }
+      this.updatePlayer(step);
+      this.timers.physics -= step;
+      steps++;
+    }
+  }
+
+  /**
+   * Player position for rendering, interpolated between the last two physics steps
+   * @returns {{x: number, y: number}|null}
+   */
+  getPlayerRenderPosition() {
+    const player = this.player;
+    if (!player) return null;
+    if (player.dead || player.prevX === undefined) return { x: player.x, y: player.y };
+
+    const alpha = Math.min(1, this.timers.physics / this.constants.PHYSICS_STEP);
+    return {
+      x: player.prevX + (player.x - player.prevX) * alpha,
+      y: player.prevY + (player.y - player.prevY) * alpha,
+    };
+  }
+
+  /**
+   * Update player physics, movement, and check win condition
+   * Called once per fixed physics step by stepPlayerPhysics()
+   * @param {number} dt - Physics step in seconds
+   */
   updatePlayer(dt) {
     const player = this.player;
     if (!player || player.dead) return;
 
     // Horizontal Movement
+    const startX = player.x;
     let moveX = 0;
-    if (this.input.keys["ArrowLeft"] || this.input.keys["KeyA"]) {
+    const actions = this.input.actions;
+    if (actions.left) {
       moveX = -this.constants.MOVE_SPEED;
       player.facingRight = false;
-    } else if (this.input.keys["ArrowRight"] || this.input.keys["KeyD"]) {
+    } else if (actions.right) {
       moveX = this.constants.MOVE_SPEED;
       player.facingRight = true;
     }
@@ -245,17 +514,22 @@ export class GameEngine {
       }
     }
 
+    // A running average, so taps barely register (the AI's player prediction reads it)
+    player.runSpeed += (player.x - startX - player.runSpeed) * this.constants.PLAYER_RUN_SMOOTHING;
+
     // Vertical Movement
-    player.onGround = this.isOnGround();
-    if ((this.input.keys["ArrowUp"] || this.input.keys["KeyW"] || this.input.keys["Space"]) && player.onGround) {
+    const wasOnGround = (player.onGround = this.isOnGround());
+    if (actions.jump && player.onGround) {
       player.vy = this.constants.JUMP_FORCE;
       player.onGround = false;
+      this.events.emit("playerJumped", { x: player.x, y: player.y });
     }
 
     player.vy += this.constants.GRAVITY;
     player.vy = Math.min(player.vy, this.constants.TERMINAL_VELOCITY);
 
     let newY = player.y + player.vy;
+    const fallSpeed = player.vy;
 
     // Floor check
     if (newY + this.constants.PLAYER_HEIGHT > this.height) {
@@ -268,11 +542,12 @@ export class GameEngine {
       // Falling
       if (this.checkCollision(player.x, newY, this.constants.PLAYER_WIDTH, this.constants.PLAYER_HEIGHT)) {
         // Land on top
+        const step = this.constants.COLLISION_STEP;
         while (
           player.y < newY &&
-          !this.checkCollision(player.x, player.y + 1, this.constants.PLAYER_WIDTH, this.constants.PLAYER_HEIGHT)
+          !this.checkCollision(player.x, player.y + step, this.constants.PLAYER_WIDTH, this.constants.PLAYER_HEIGHT)
         ) {
-          player.y++;
+          player.y += step;
         }
         player.vy = 0;
         newY = player.y;
@@ -287,8 +562,13 @@ export class GameEngine {
 
     player.y = newY;
 
+    // Resting contact re-lands every step at exactly one step of gravity; only report real falls
+    if (!wasOnGround && fallSpeed > this.constants.GRAVITY && player.vy === 0) {
+      this.events.emit("playerLanded", { x: player.x, y: player.y, speed: fallSpeed });
+    }
+
     // Win check: if player is fully above the escape line (bottom of row 1)
-    if (player.y + this.constants.PLAYER_HEIGHT <= this.constants.CELL_SIZE * 2) {
+    if (player.y + this.constants.PLAYER_HEIGHT <= this.constants.ESCAPE_ZONE_ROWS) {
       this.gameWin();
     }
   }
@@ -296,27 +576,70 @@ export class GameEngine {
   isOnGround() {
     const player = this.player;
     if (!player) return false;
-    if (player.y + this.constants.PLAYER_HEIGHT >= this.height - 1) return true;
+    if (player.y + this.constants.PLAYER_HEIGHT >= this.height - this.constants.COLLISION_STEP) return true;
 
     // Check for ground beneath player
     // Use a narrower check (centered) to prevent cliff-edge exploitation
-    // Player must have solid ground under their center mass, not just a corner pixel
+    // Player must have solid ground under their center mass, not just a corner
     return this.checkCollision(
       player.x + this.constants.GROUND_CHECK_OFFSET, 
       player.y + this.constants.PLAYER_HEIGHT + this.constants.GROUND_CHECK_DISTANCE, 
       this.constants.GROUND_CHECK_WIDTH, 
-      1
+      this.constants.COLLISION_STEP
     );
   }
 
-  spawnPiece() {
-    const type = getRandomTetrominoType();
+  /**
+   * Create the piece randomizer for the current settings
+   * @returns {Object} Randomizer with next(), getState() and setState()
+   */
+  createPieceRandomizer() {
+    const strategy = this.randomizerOverride ?? this.settings.diffConfig.randomizer;
+    this.randomizerStrategy = strategy;
+    return createRandomizer(strategy, this.rng);
+  }
+
+  /**
+   * Top up the preview queue from the randomizer
+   */
+  fillPreviewQueue() {
+    while (this.nextPieces.length < this.previewCount) {
+      this.nextPieces.push(this.randomizer.next());
+    }
+  }
+
+  /**
+   * Take the next piece type, drawing from the preview queue when enabled
+   * @returns {string} Tetromino type
+   */
+  takeNextPieceType() {
+    const type = this.nextPieces.length > 0 ? this.nextPieces.shift() : this.randomizer.next();
+    this.fillPreviewQueue();
+    return type;
+  }
+
+  /**
+   * Look at the next piece type without consuming it
+   * Works even with the preview queue disabled (the piece is drawn and kept until taken).
+   * @returns {string} Tetromino type
+   */
+  peekNextPieceType() {
+    if (this.nextPieces.length === 0) this.nextPieces.push(this.randomizer.next());
+    return this.nextPieces[0];
+  }
+
+  /**
+   * Build a new piece of the given type at the spawn position
+   * @param {string} type - Tetromino type
+   * @returns {Object} Piece
+   */
+  createPiece(type) {
     const tetro = TETROMINOES[type];
     const rotation = 0;
-    const shape = tetro.shapes[rotation];
+    const shape = this.rotationSystem.getShape(type, rotation);
     const startX = Math.floor((this.constants.COLS - shape[0].length) / 2);
 
-    this.currentPiece = {
+    return {
       type: type,
       rotation: rotation,
       shape: shape,
@@ -325,22 +648,65 @@ export class GameEngine {
       y: 0,
       fallStepCount: 0,
     };
+  }
+
+  spawnPiece() {
+    this.currentPiece = this.createPiece(this.takeNextPieceType());
+    this.holdUsed = false;
 
     this.ai.reset();
 
     if (!this.canPlacePiece(this.currentPiece, 0, 0)) {
-      this.gameOver("The playing field filled up!");
+      this.gameOver(this.createDeathCause("fieldFilled", this.currentPiece));
       return;
     }
 
-    // Always calculate with player avoidance enabled at spawn
-    // The danger zone reward will discourage targeting near the player
-    this.ai.calculateTarget(null, true);
+    // Always search with player avoidance enabled at spawn
+    // The danger zone reward will discourage targeting near the player. The piece just falls until
+    // the result is in, and the AI may then swap in the held piece (see AIController.requestTarget()).
+    this.ai.requestTarget(true);
 
     if (this.sabotageQueued) {
       this.sabotageQueued = false;
       this.applySabotageToCurrent();
     }
+
+    this.events.emit("pieceSpawned", { piece: this.describePiece(this.currentPiece) });
+  }
+
+  /**
+   * Event payload for a piece
+   * @param {Object} piece
+   * @returns {{type: string, x: number, y: number, rotation: number}}
+   */
+  describePiece(piece) {
+    return { type: piece.type, x: piece.x, y: piece.y, rotation: piece.rotation };
+  }
+
+  /**
+   * Swap the current piece with the hold slot (once per spawn)
+   * An empty slot takes the current piece and the next piece from the queue spawns instead.
+   * @param {Object} [incoming] - Piece to swap in, already created (the one the AI has a target for);
+   *   must be of the held type, or the next type when the slot is empty
+   * @returns {boolean} True if the swap happened
+   */
+  holdCurrentPiece(incoming = null) {
+    if (!this.currentPiece || this.holdUsed) return false;
+
+    const incomingType = this.heldPiece ?? this.peekNextPieceType();
+    if (incoming && incoming.type !== incomingType) {
+      throw new Error(`Cannot hold: incoming piece is ${incoming.type}, expected ${incomingType}`);
+    }
+    incoming = incoming ?? this.createPiece(incomingType);
+    if (!this.canPlacePiece(incoming, 0, 0)) return false;
+
+    if (this.heldPiece === null) this.takeNextPieceType();
+    this.heldPiece = this.currentPiece.type;
+    this.currentPiece = incoming;
+    this.holdUsed = true;
+    this.stats.holds++;
+    this.events.emit("pieceHeld", { piece: this.describePiece(incoming), held: this.heldPiece });
+    return true;
   }
 
   updatePiece(dt) {
@@ -362,22 +728,30 @@ export class GameEngine {
     this.timers.aiMove += scaledDt * 1000;
     if (this.timers.aiMove >= this.settings.diffConfig.aiMoveInterval) {
       this.timers.aiMove = 0;
+      const piece = this.currentPiece;
+      const from = { x: piece.x, y: piece.y, rotation: piece.rotation };
       this.ai.update();
+      if (piece.x !== from.x || piece.y !== from.y || piece.rotation !== from.rotation) {
+        this.events.emit("pieceMoved", { piece: this.describePiece(piece), from, cause: "ai" });
+      }
     }
 
     this.timers.pieceFall += scaledDt * 1000;
     if (this.timers.pieceFall >= this.settings.diffConfig.baseFallTick) {
       // Smart retargeting: only recalculate if meaningful conditions are met
       if (this.shouldRetarget()) {
-        this.ai.calculateTarget(null, true, true); // avoidPlayer=true, playerTriggered=true
+        this.ai.requestTarget(true, true); // avoidPlayer=true, playerTriggered=true
       }
 
       this.timers.pieceFall = 0;
       if (this.canPlacePiece(this.currentPiece, 0, 1)) {
-        this.currentPiece.y++;
-        this.currentPiece.fallStepCount++;
+        const piece = this.currentPiece;
+        const from = { x: piece.x, y: piece.y, rotation: piece.rotation };
+        piece.y++;
+        piece.fallStepCount++;
+        this.events.emit("pieceMoved", { piece: this.describePiece(piece), from, cause: "gravity" });
         if (this.checkPieceSquishesPlayer()) {
-          this.gameOver("You got squished by a falling block!");
+          this.gameOver(this.createDeathCause("squished", piece));
         }
       } else {
         this.lockPiece();
@@ -389,11 +763,12 @@ export class GameEngine {
     if (!this.currentPiece) return;
 
     if (this.checkPieceSquishesPlayer()) {
-      this.gameOver("You got squished by a falling block!");
+      this.gameOver(this.createDeathCause("squished", this.currentPiece));
       return;
     }
 
     const piece = this.currentPiece;
+    const cells = [];
     for (let py = 0; py < piece.shape.length; py++) {
       for (let px = 0; px < piece.shape[py].length; px++) {
         if (piece.shape[py][px]) {
@@ -401,6 +776,7 @@ export class GameEngine {
           const gridX = piece.x + px;
           if (gridY >= 0 && gridY < this.constants.ROWS && gridX >= 0 && gridX < this.constants.COLS) {
             this.grid[gridY][gridX] = piece.color;
+            cells.push({ x: gridX, y: gridY });
           }
         }
       }
@@ -410,6 +786,9 @@ export class GameEngine {
     this.currentPiece = null;
     this.timers.sabotage = 0;
 
+    this.events.emit("pieceLocked", { piece: this.describePiece(piece), cells });
+    this.checkNearMiss(piece, cells);
+
     this.checkLines();
 
     this.waitingForPiece = true;
@@ -461,10 +840,10 @@ export class GameEngine {
     for (let py = 0; py < shape.length; py++) {
       for (let px = 0; px < shape[py].length; px++) {
         if (shape[py][px]) {
-          const blockLeft = (newPieceX + px) * this.constants.CELL_SIZE;
-          const blockRight = blockLeft + this.constants.CELL_SIZE;
-          const blockTop = (newPieceY + py) * this.constants.CELL_SIZE;
-          const blockBottom = blockTop + this.constants.CELL_SIZE;
+          const blockLeft = newPieceX + px;
+          const blockRight = blockLeft + 1;
+          const blockTop = newPieceY + py;
+          const blockBottom = blockTop + 1;
 
           const playerRight = this.player.x + this.constants.PLAYER_WIDTH;
           const playerBottom = this.player.y + this.constants.PLAYER_HEIGHT;
@@ -546,13 +925,21 @@ export class GameEngine {
 
     if (linesToClear.length === 0) return;
 
+    // Captured before the rows disappear so the post-mortem shows what the player completed.
+    // The player is dead from here on, even though gameOver() only follows after the particles.
+    const cause = this.createDeathCause("lineCleared", null, {
+      rows: [...linesToClear],
+      delay: this.settings.diffConfig.lineClearDelay,
+    });
+    this.deathCause = cause;
+
     // Create particles for the lines
     for (let lineY of linesToClear) {
       for (let x = 0; x < this.constants.COLS; x++) {
         const color = this.grid[lineY][x] || "#4ecca3"; // Use player color for player cells
         this.createParticles(
-          x * this.constants.CELL_SIZE + this.constants.CELL_SIZE / 2,
-          lineY * this.constants.CELL_SIZE + this.constants.CELL_SIZE / 2,
+          x + 0.5,
+          lineY + 0.5,
           color
         );
       }
@@ -570,6 +957,10 @@ export class GameEngine {
       "#ffd93d"
     );
 
+    // A pending AI search was made against the rows about to go: use its result if it is in,
+    // otherwise search again once they are gone (the piece keeps falling meanwhile)
+    const stale = this.ai.pending !== null && !this.ai.applyPendingTarget();
+
     // Remove lines
     linesToClear.sort((a, b) => a - b);
     let newGrid = this.grid.filter((_, index) => !linesToClear.includes(index));
@@ -577,14 +968,21 @@ export class GameEngine {
       newGrid.unshift(Array(this.constants.COLS).fill(null));
     }
     this.grid = newGrid;
+    if (stale) {
+      this.ai.pending = null;
+      this.ai.requestTarget(true);
+    }
 
     this.player.dead = true;
-    this.player.killedByLine = true;
+    this.events.emit("linesCleared", {
+      rows: linesToClear,
+      count: linesToClear.length,
+      total: this.stats.linesCleared,
+      playerKilled: true,
+    });
 
     // Delay game over slightly to show particles
-    setTimeout(() => {
-      this.gameOver("You got cleared with the line!");
-    }, 500);
+    this.scheduler.after(this.constants.LINE_CLEAR_DEATH_DELAY, () => this.gameOver(cause));
   }
   /**
    * Check for completed lines and clear them
@@ -606,8 +1004,8 @@ export class GameEngine {
     for (let lineY of linesToClear) {
       for (let x = 0; x < this.constants.COLS; x++) {
         this.createParticles(
-          x * this.constants.CELL_SIZE + this.constants.CELL_SIZE / 2,
-          lineY * this.constants.CELL_SIZE + this.constants.CELL_SIZE / 2,
+          x + 0.5,
+          lineY + 0.5,
           this.grid[lineY][x]
         );
       }
@@ -622,7 +1020,12 @@ export class GameEngine {
 
     const count = linesToClear.length;
     this.stats.linesCleared += count;
-    this.onLineCleared(count);
+    this.events.emit("linesCleared", {
+      rows: linesToClear,
+      count,
+      total: this.stats.linesCleared,
+      playerKilled: false,
+    });
 
     if (count > 0) {
       this.stats.recentLines.push({ piece: this.stats.pieceCount, count });
@@ -633,8 +1036,8 @@ export class GameEngine {
 
   /**
    * Create particle effect at specified location
-   * @param {number} x - X coordinate in pixels
-   * @param {number} y - Y coordinate in pixels
+   * @param {number} x - X coordinate in cells
+   * @param {number} y - Y coordinate in cells
    * @param {string} color - Particle color (CSS color string)
    */
   createParticles(x, y, color) {
@@ -642,24 +1045,53 @@ export class GameEngine {
       this.particles.push({
         x: x,
         y: y,
-        vx: (Math.random() - 0.5) * this.constants.PARTICLE_VELOCITY_RANGE,
-        vy: (Math.random() - 0.5) * this.constants.PARTICLE_VELOCITY_RANGE,
+        vx: (this.rng.next() - 0.5) * this.constants.PARTICLE_VELOCITY_RANGE,
+        vy: (this.rng.next() - 0.5) * this.constants.PARTICLE_VELOCITY_RANGE,
         life: this.constants.PARTICLE_LIFETIME,
         color: color,
       });
     }
   }
 
+  /**
+   * Move and fade particles
+   * @param {number} dt - Speed-scaled delta time in seconds
+   */
   updateParticles(dt) {
+    const steps = dt / this.constants.PHYSICS_STEP;
     for (let i = this.particles.length - 1; i >= 0; i--) {
       const p = this.particles[i];
-      p.x += p.vx;
-      p.y += p.vy;
+      p.x += p.vx * steps;
+      p.y += p.vy * steps;
       p.life -= dt * this.constants.PARTICLE_DECAY_RATE;
       if (p.life <= 0) this.particles.splice(i, 1);
     }
   }
 
+  /**
+   * Report a piece that locked within NEAR_MISS_DISTANCE of the player
+   * Blocks under the player's feet do not count: that is a ride, not a miss.
+   * @param {Object} piece - The piece that just locked
+   * @param {Array<{x: number, y: number}>} cells - Its grid cells
+   */
+  checkNearMiss(piece, cells) {
+    const p = this.player;
+    if (!p || p.dead) return;
+
+    const playerBottom = p.y + this.constants.PLAYER_HEIGHT;
+    let distance = Infinity;
+    for (const { x, y } of cells) {
+      if (y >= playerBottom - this.constants.COLLISION_STEP) continue;
+      const gapX = Math.max(x - (p.x + this.constants.PLAYER_WIDTH), p.x - (x + 1), 0);
+      const gapY = Math.max(y - playerBottom, p.y - (y + 1), 0);
+      distance = Math.min(distance, Math.hypot(gapX, gapY));
+    }
+
+    if (distance <= this.constants.NEAR_MISS_DISTANCE) {
+      this.events.emit("nearMiss", { distance, piece: piece.type });
+    }
+  }
+
   /**
    * Check if player is horizontally overlapping with piece's danger zone
    * BUT only if player is at or below piece level (not riding on top)
@@ -669,9 +1101,9 @@ export class GameEngine {
   isPlayerInDangerZone(piece = this.currentPiece) {
     if (!piece || !this.player) return false;
 
-    const pieceLeft = piece.x * this.constants.CELL_SIZE;
-    const pieceRight = (piece.x + piece.shape[0].length) * this.constants.CELL_SIZE;
-    const pieceBottom = (piece.y + piece.shape.length) * this.constants.CELL_SIZE;
+    const pieceLeft = piece.x;
+    const pieceRight = piece.x + piece.shape[0].length;
+    const pieceBottom = piece.y + piece.shape.length;
 
     // If player is fully above the piece (riding on top), they're not in danger
     // Allow a small tolerance for landing precision
@@ -679,7 +1111,7 @@ export class GameEngine {
       return false;
     }
 
-    const margin = this.settings.diffConfig.dangerZoneMargin * this.constants.CELL_SIZE;
+    const margin = this.settings.diffConfig.dangerZoneMargin;
     const playerLeft = this.player.x - margin;
     const playerRight = this.player.x + this.constants.PLAYER_WIDTH + margin;
 
@@ -703,31 +1135,38 @@ export class GameEngine {
       return false;
     }
 
+    // A hunter follows the player only so many times per piece, then lets them get away
+    const hunt = this.ai.getHunt();
+    if (hunt && this.ai.retargetCount >= hunt.retargets) return false;
+
     // Check if current target is already safe (outside danger zone)
     // If safe, no need to retarget regardless of player movement
+    // (hunting, it is the other way around: a target inside the zone needs no retarget)
+    const prediction = this.predictPlayer();
     if (this.ai.target) {
-      const dangerZone = this.getPlayerDangerZone(this.settings.diffConfig.dangerZoneMargin);
+      const dangerZone = this.ai.getPlayerZone(prediction);
       if (!dangerZone) return false;
       
-      const targetShape = getShape(this.currentPiece.type, this.ai.target.rotation);
+      const targetShape = this.rotationSystem.getShape(this.currentPiece.type, this.ai.target.rotation);
       const targetLeft = this.ai.target.x;
       const targetRight = this.ai.target.x + targetShape[0].length;
 
       // If target is already outside the danger zone, no need to retarget
-      if (targetRight <= dangerZone.left || targetLeft >= dangerZone.right) {
+      const outside = targetRight <= dangerZone.left || targetLeft >= dangerZone.right;
+      if (outside !== Boolean(hunt)) {
         return false;
       }
     }
 
-    // Target is in danger zone - check if player moved significantly
-    const currentPlayerGridX = this.getPlayerGridX();
+    // Target is in danger zone (outside it when hunting) - check if where the player is heading changed significantly
+    const currentPlayerGridX = prediction.column;
 
     // If we haven't tracked player position yet, record it and DO retarget
     // (this means the initial calculation picked a dangerous target)
     if (this.ai.lastPlayerGridX === null) {
       this.ai.lastPlayerGridX = currentPlayerGridX;
       // Only retarget if piece is actually near player's Y level
-      return this.isPlayerInDangerZone();
+      return Boolean(hunt) || this.isPlayerInDangerZone();
     }
 
     // Player hasn't moved enough - no retarget
@@ -751,14 +1190,9 @@ export class GameEngine {
       for (let y = 0; y < piece.shape.length; y++) {
         for (let x = 0; x < piece.shape[y].length; x++) {
           if (piece.shape[y][x]) {
-            const bx = (piece.x + x) * this.constants.CELL_SIZE;
-            const by = (piece.y + y) * this.constants.CELL_SIZE;
-            if (
-              px < bx + this.constants.CELL_SIZE &&
-              px + pw > bx &&
-              py < by + this.constants.CELL_SIZE &&
-              py + ph > by
-            ) {
+            const bx = piece.x + x;
+            const by = piece.y + y;
+            if (px < bx + 1 && px + pw > bx && py < by + 1 && py + ph > by) {
               return true;
             }
           }
@@ -777,7 +1211,6 @@ export class GameEngine {
 
     const piece = this.currentPiece;
     const p = this.player;
-    const CELL = this.constants.CELL_SIZE;
 
     let overlapInfo = null;
     let lowestBlockBottom = 0;
@@ -785,10 +1218,10 @@ export class GameEngine {
     for (let y = 0; y < piece.shape.length; y++) {
       for (let x = 0; x < piece.shape[y].length; x++) {
         if (piece.shape[y][x]) {
-          const bx = (piece.x + x) * CELL;
-          const by = (piece.y + y) * CELL;
-          const bw = CELL;
-          const bh = CELL;
+          const bx = piece.x + x;
+          const by = piece.y + y;
+          const bw = 1;
+          const bh = 1;
 
           if (
             p.x < bx + bw &&
@@ -833,7 +1266,8 @@ export class GameEngine {
 
       if (!gridCollision) {
         p.y = pushY;
-        p.vy = Math.max(p.vy, 2);
+        p.vy = Math.max(p.vy, this.constants.PUSH_DOWN_SPEED);
+        this.events.emit("playerPushed", { direction: "down", x: p.x, y: p.y, piece: this.currentPiece.type });
         return true;
       }
     }
@@ -870,7 +1304,9 @@ export class GameEngine {
 
     // Check if we can push there (no grid collision)
     if (!this.checkGridCollisionOnly(pushX, p.y, this.constants.PLAYER_WIDTH, this.constants.PLAYER_HEIGHT)) {
+      const direction = pushX < p.x ? "left" : "right";
       p.x = pushX;
+      this.events.emit("playerPushed", { direction, x: p.x, y: p.y, piece: this.currentPiece.type });
       return true;
     }
     return false;
@@ -895,10 +1331,11 @@ export class GameEngine {
   }
 
   checkGridCollisionOnly(px, py, pw, ph) {
-    const left = Math.floor(px / this.constants.CELL_SIZE);
-    const right = Math.floor((px + pw - 1) / this.constants.CELL_SIZE);
-    const top = Math.floor(py / this.constants.CELL_SIZE);
-    const bottom = Math.floor((py + ph - 1) / this.constants.CELL_SIZE);
+    const edge = this.constants.COLLISION_STEP;
+    const left = Math.floor(px);
+    const right = Math.floor(px + pw - edge);
+    const top = Math.floor(py);
+    const bottom = Math.floor(py + ph - edge);
 
     for (let y = Math.max(0, top); y <= Math.min(this.constants.ROWS - 1, bottom); y++) {
       for (let x = Math.max(0, left); x <= Math.min(this.constants.COLS - 1, right); x++) {
@@ -908,6 +1345,17 @@ export class GameEngine {
     return false;
   }
 
+  /**
+   * Seconds until the falling piece lands at the normal fall rate (AI fast drops land it sooner)
+   * @returns {number}
+   */
+  getLandingTime() {
+    if (!this.currentPiece) return 0;
+    const ms = this.getDropDistance() * this.settings.diffConfig.baseFallTick - this.timers.pieceFall;
+    // Pieces fall on speed-scaled time, the player moves on real time
+    return Math.max(0, ms) / 1000 / this.settings.speed;
+  }
+
   getDropDistance() {
     if (!this.currentPiece) return 0;
     let dist = 0;
@@ -926,71 +1374,182 @@ export class GameEngine {
     let dropDist = this.getDropDistance();
     if (dropDist > 8) {
       this.ai.state = "erratic";
-      this.ai.erraticDir = Math.random() > 0.5 ? 1 : -1;
+      this.ai.erraticDir = this.rng.next() > 0.5 ? 1 : -1;
     } else {
       this.ai.state = "targeting";
     }
   }
 
-  performErraticMove() {
-    const piece = this.currentPiece;
-    if (Math.random() < 0.1) this.ai.erraticDir *= -1;
-
-    if (this.canPlacePieceWithPlayer(piece, this.ai.erraticDir, 0)) {
-      piece.x += this.ai.erraticDir;
-    } else {
-      this.ai.erraticDir *= -1;
-    }
-
-    if (Math.random() < 0.05) {
-      const newRot = (piece.rotation + 1) % TETROMINOES[piece.type].shapes.length;
-      const newShape = getShape(piece.type, newRot);
-      if (this.canPlacePieceWithPlayer(piece, 0, 0, newShape)) {
-        piece.rotation = newRot;
-        piece.shape = newShape;
-      }
-    }
-  }
-
-  gameOver(reason) {
+  /**
+   * End the game
+   * In godMode only a filled field ends it; any other death teleports the player to safety.
+   * @param {Object} cause - From createDeathCause()
+   */
+  gameOver(cause) {
     if (this.status !== "playing") return;
+    // A player already killed by a line clear is only waiting for the delayed game over
+    if (this.deathCause && this.deathCause !== cause) return;
 
     if (this.godMode) {
-      if (reason === "The playing field filled up!") {
-        this.status = "gameover";
-        this.onGameOver(reason);
-      } else {
+      if (cause.type !== "fieldFilled") {
         if (this.player) {
           this.player.y = 0; // Teleport to safety
           this.player.vy = 0;
         }
+        // Survived: no death is pending any more, so later game overs go through
+        if (this.deathCause === cause) this.deathCause = null;
+        return;
       }
-      return;
+    } else if (this.player) {
+      this.player.dead = true;
     }
 
     this.status = "gameover";
-    if (this.player) this.player.dead = true;
-    this.onGameOver(reason);
+    this.deathCause = cause;
+    if (this.replay) this.replay.finish(cause.message);
+    this.events.emit("gameOver", { cause, time: this.stats.time, lines: this.stats.linesCleared });
   }
 
   gameWin() {
     if (this.status !== "playing") return;
     this.status = "win";
-    this.onGameWin();
+    if (this.replay) this.replay.finish();
+    this.events.emit("gameWin", { time: this.stats.time, lines: this.stats.linesCleared });
+  }
+
+  /**
+   * Drop an unfinished game without a result, e.g. when a replay takes over the engine
+   * Its recording ends, and a fresh reset() clears what it left pending (delayed actions such as a
+   * line-clear death, AI searches, rewinding), back to the start screen where settings like the
+   * board size can change.
+   * @returns {boolean} Whether a game was abandoned
+   */
+  abandon() {
+    if (!["playing", "paused", "countdown"].includes(this.status)) return false;
+    if (this.replay) this.replay.finish("Abandoned");
+    const time = this.stats.time;
+    const lines = this.stats.linesCleared;
+    this.reset();
+    this.events.emit("gameAbandoned", { time, lines });
+    return true;
   }
 
   selectDifficulty(diff) {
+    if (this.replay) this.replay.recordEvent("difficulty", diff);
     this.settings.difficulty = diff;
     this.settings.diffConfig = DIFFICULTY_SETTINGS[diff];
+    if (this.randomizerOverride === null && this.randomizerStrategy !== this.settings.diffConfig.randomizer) {
+      this.randomizer = this.createPieceRandomizer();
+      this.nextPieces = [];
+      this.fillPreviewQueue();
+    }
     if (this.currentPiece && this.status === "playing") this.ai.calculateTarget();
   }
 
   selectSpeed(speed) {
+    if (this.replay) this.replay.recordEvent("speed", speed);
     this.settings.speed = speed;
   }
 
+  /**
+   * Switch rotation system ("classic" or "srs")
+   * A falling piece keeps its rotation index and takes that state's shape in the new system.
+   * @param {string} name - Key of ROTATION_SYSTEMS
+   */
+  selectRotationSystem(name) {
+    this.rotationSystem = getRotationSystem(name);
+    if (this.replay) this.replay.recordEvent("rotation", name);
+    this.settings.rotationSystem = name;
+    if (this.currentPiece) {
+      const piece = this.currentPiece;
+      piece.rotation %= this.rotationSystem.getShapes(piece.type).length;
+      piece.shape = this.rotationSystem.getShape(piece.type, piece.rotation);
+      if (this.status === "playing") this.ai.calculateTarget();
+    }
+  }
+
+  /**
+   * Switch how the AI treats the player; the falling piece is retargeted right away
+   * @param {string} name - Key of AI_PERSONALITIES
+   */
+  selectPersonality(name) {
+    if (!AI_PERSONALITIES[name]) throw new Error(`Unknown AI personality "${name}"`);
+    if (this.replay) this.replay.recordEvent("personality", name);
+    this.settings.personality = name;
+    if (this.currentPiece && this.status === "playing") this.ai.calculateTarget(null, true);
+  }
+
+  /**
+   * Freeze the game; update() ignores time (timers, physics, particles) until resume()
+   * @param {string} [reason] - "player", "restored" (saved game loaded), "stateLoaded" (dump dropped or pasted
+   *   for inspection), "rewind", or why it paused itself:
+   *   "hidden" (tab hidden), "blur" (window lost focus)
+   * @returns {boolean} Whether a running game (or resume countdown) was paused
+   */
+  pause(reason = "player") {
+    if (this.status !== "playing" && this.status !== "countdown") return false;
+    this.status = "paused";
+    this.countdown = 0;
+    this.events.emit("paused", { reason });
+    return true;
+  }
+
+  /**
+   * Continue a paused game, optionally after a countdown so the player can get ready
+   * @param {number} [countdown] - Real seconds to count down first (0 resumes at once)
+   * @returns {boolean} Whether the game was paused
+   */
+  resume(countdown = 0) {
+    if (this.status !== "paused") return false;
+    if (this.rewindCursor !== null) {
+      // Play branches from the rewound frame; the frames after it belong to the abandoned future
+      this.rewind.truncate(this.rewindCursor);
+      this.rewindCursor = null;
+      this.rewindClock = 0;
+    }
+    if (countdown > 0) {
+      this.status = "countdown";
+      this.countdown = countdown;
+      this.events.emit("countdown", { remaining: Math.ceil(countdown) });
+    } else {
+      this.status = "playing";
+      this.events.emit("resumed", {});
+    }
+    return true;
+  }
+
+  /**
+   * Advance a resume countdown; unscaled by game speed since it is the player's time
+   * @param {number} dt - Delta time in seconds
+   */
+  updateCountdown(dt) {
+    const shown = Math.ceil(this.countdown);
+    this.countdown -= dt;
+    if (this.countdown <= 0) {
+      this.countdown = 0;
+      this.status = "playing";
+      this.events.emit("resumed", {});
+    } else if (Math.ceil(this.countdown) < shown) {
+      this.events.emit("countdown", { remaining: Math.ceil(this.countdown) });
+    }
+  }
+
+  /**
+   * Switch board size; only between games, since the grid is rebuilt
+   * @param {string} name - Key of BOARD_SIZES
+   */
+  selectBoardSize(name) {
+    if (!BOARD_SIZES[name]) throw new Error(`Unknown board size "${name}"`);
+    if (["playing", "paused", "countdown"].includes(this.status)) {
+      throw new Error("Board size can only change between games");
+    }
+    this.settings.boardSize = name;
+    this.reset();
+  }
+
   triggerSabotage() {
     if (this.timers.sabotageCooldown > 0 || !this.currentPiece || this.status !== "playing") return;
+    if (this.replay) this.replay.recordEvent("sabotage");
     this.timers.sabotageCooldown = this.settings.diffConfig.sabotageCooldown * 1000;
     const dropDist = this.getDropDistance();
     if (dropDist < 6) {
@@ -998,15 +1557,39 @@ export class GameEngine {
     } else {
       this.applySabotageToCurrent();
     }
+    this.events.emit("sabotageTriggered", { queued: this.sabotageQueued });
   }
 
-  // Debug: Dump current game state to a JSON-serializable object
+  /**
+   * Replay of the current (or last finished) game
+   * @returns {Object|null} Serializable replay, see replay.js
+   */
+  getReplay() {
+    return this.replay ? this.replay.toJSON() : null;
+  }
+
+  /**
+   * Capture everything needed to continue this game exactly where it is
+   * Used for saved games and the F9 debug dump; the format is described in savegame.js.
+   * @returns {Object} JSON-serializable save
+   */
   dumpState() {
     return {
-      version: 1,
+      format: SAVE_FORMAT,
+      version: SAVE_VERSION,
+      seed: this.seed,
+      rng: this.rng.getState(),
+      // A factory override cannot be serialized; loading then falls back to the difficulty's strategy
+      randomizer: {
+        strategy: typeof this.randomizerStrategy === "string" ? this.randomizerStrategy : null,
+        state: this.randomizer.getState(),
+      },
       settings: {
         difficulty: this.settings.difficulty,
         speed: this.settings.speed,
+        rotationSystem: this.settings.rotationSystem,
+        boardSize: this.settings.boardSize,
+        personality: this.settings.personality,
       },
       grid: this.grid.map((row) => row.map((cell) => cell)), // Deep copy
       player: this.player
@@ -1015,6 +1598,7 @@ export class GameEngine {
             y: this.player.y,
             vx: this.player.vx,
             vy: this.player.vy,
+            runSpeed: this.player.runSpeed,
             onGround: this.player.onGround,
             facingRight: this.player.facingRight,
           }
@@ -1028,70 +1612,184 @@ export class GameEngine {
             fallStepCount: this.currentPiece.fallStepCount,
           }
         : null,
+      nextPieces: [...this.nextPieces],
+      hold: { piece: this.heldPiece, used: this.holdUsed },
+      waitingForPiece: this.waitingForPiece,
+      sabotageQueued: this.sabotageQueued,
       ai: {
-        target: this.ai.target,
+        state: this.ai.state,
+        target: this.ai.target ? { ...this.ai.target } : null,
         targetScore: this.ai.targetScore,
+        path: this.ai.path.map((step) => ({ ...step })),
+        erraticDir: this.ai.erraticDir,
+        moveCount: this.ai.moveCount,
         retargetCount: this.ai.retargetCount,
+        lastTargetKey: this.ai.lastTargetKey,
         lastPlayerGridX: this.ai.lastPlayerGridX,
+        // Search requested but not applied yet; it is searched again from the request when loaded
+        pending: this.ai.pending ? this.ai.describePending() : null,
       },
-      stats: { ...this.stats },
+      stats: { ...this.stats, recentLines: [...this.stats.recentLines] },
       timers: { ...this.timers },
+      particles: this.particles.map((p) => ({ ...p })),
     };
   }
 
-  // Debug: Load game state from a dump
+  /**
+   * Continue a game from a dump
+   * Older dumps are migrated first; a dump that fails validation leaves the game untouched.
+   * The game is left playing; pause it first if the player should not be thrown straight in.
+   * @param {Object} state - From dumpState(), any supported version
+   * @returns {boolean} Whether the state was loaded
+   */
   loadState(state) {
-    if (!state || state.version !== 1) {
-      console.error("Invalid state version");
+    let save;
+    try {
+      save = readState(state);
+    } catch (e) {
+      console.error(e.message);
       return false;
     }
 
+    this.applyState(save);
+    // Frames from before the load belong to another game
+    if (this.rewind) this.rewind.clear();
+    this.rewindCursor = null;
+    this.rewindClock = 0;
+    return true;
+  }
+
+  /**
+   * Replace the game with a current-version dump, without validating it
+   * @param {Object} save - From dumpState() or readState(); not modified
+   */
+  applyState(save) {
     // Apply settings
-    this.settings.difficulty = state.settings.difficulty;
-    this.settings.speed = state.settings.speed;
-    this.settings.diffConfig = DIFFICULTY_SETTINGS[state.settings.difficulty];
+    this.settings.difficulty = save.settings.difficulty;
+    this.settings.speed = save.settings.speed;
+    this.settings.diffConfig = DIFFICULTY_SETTINGS[save.settings.difficulty];
+    this.settings.rotationSystem = save.settings.rotationSystem;
+    this.rotationSystem = getRotationSystem(this.settings.rotationSystem);
+    this.settings.boardSize = save.settings.boardSize;
+    this.applyBoardSize();
+    this.settings.personality = save.settings.personality;
+
+    // Restore RNG (older dumps have no seed; keep the current generator then)
+    if (save.seed !== null) {
+      this.seed = save.seed;
+      this.rng = new SeededRandom(save.seed);
+      if (save.rng) this.rng.setState(save.rng);
+    }
+    if (save.randomizer.strategy) {
+      this.randomizerStrategy = save.randomizer.strategy;
+      this.randomizer = createRandomizer(save.randomizer.strategy, this.rng);
+    } else {
+      this.randomizer = this.createPieceRandomizer();
+    }
+    if (save.randomizer.state) this.randomizer.setState(save.randomizer.state);
+    this.nextPieces = save.nextPieces.slice(0, this.previewCount);
+    this.fillPreviewQueue();
 
     // Restore grid
-    this.grid = state.grid.map((row) => row.map((cell) => cell));
+    this.grid = save.grid.map((row) => row.map((cell) => cell));
 
-    // Restore player
-    if (state.player) {
-      this.player = {
-        ...state.player,
-        dead: false,
-      };
-    }
+    // Restore player (not interpolated on the first frame)
+    this.player = save.player ? { ...save.player, prevX: save.player.x, prevY: save.player.y, dead: false } : null;
 
     // Restore current piece
-    if (state.currentPiece) {
-      const p = state.currentPiece;
+    if (save.currentPiece) {
+      const p = save.currentPiece;
       this.currentPiece = {
         type: p.type,
         x: p.x,
         y: p.y,
         rotation: p.rotation,
-        shape: getShape(p.type, p.rotation),
+        shape: this.rotationSystem.getShape(p.type, p.rotation),
         color: TETROMINOES[p.type].color,
-        fallStepCount: p.fallStepCount || 0,
+        fallStepCount: p.fallStepCount,
       };
+    } else {
+      this.currentPiece = null;
     }
 
+    // Restore hold slot and spawn/sabotage flags
+    this.heldPiece = save.hold.piece;
+    this.holdUsed = save.hold.used;
+    this.waitingForPiece = save.waitingForPiece;
+    this.sabotageQueued = save.sabotageQueued;
+
     // Restore AI state
     this.ai.reset();
-    if (state.ai) {
-      this.ai.target = state.ai.target;
-      this.ai.targetScore = state.ai.targetScore;
-      this.ai.retargetCount = state.ai.retargetCount || 0;
-      this.ai.lastPlayerGridX = state.ai.lastPlayerGridX;
-    }
+    this.ai.state = save.ai.state;
+    this.ai.target = save.ai.target ? { ...save.ai.target } : null;
+    this.ai.targetScore = save.ai.targetScore;
+    this.ai.targetPiece = this.ai.target ? this.currentPiece : null;
+    this.ai.path = save.ai.path.map((step) => ({ ...step }));
+    this.ai.erraticDir = save.ai.erraticDir;
+    this.ai.moveCount = save.ai.moveCount;
+    this.ai.retargetCount = save.ai.retargetCount;
+    this.ai.lastTargetKey = save.ai.lastTargetKey;
+    this.ai.lastPlayerGridX = save.ai.lastPlayerGridX;
+
+    // Restore stats, timers and particles
+    this.stats = { ...save.stats, recentLines: [...save.stats.recentLines] };
+    this.timers = { ...this.timers, ...save.timers };
+    this.particles = save.particles.map((p) => ({ ...p }));
+
+    // Searched again, now that the grid, settings and piece count it reads are back
+    this.ai.restorePending(save.ai.pending);
+
+    // History and pending actions before the dump do not belong to this state
+    this.scheduler.clear();
+    this.recentHistory = [];
+    this.historyGrid = null;
+    this.deathCause = null;
+
+    this.countdown = 0;
+    this.status = "playing";
+    // The replay starts over from this state (dumped again, since a dump without a seed keeps the current RNG)
+    this.replay = this.recordReplay ? new ReplayRecorder(this, this.dumpState()) : null;
+  }
 
-    // Restore stats and timers
-    this.stats = { ...state.stats, recentLines: state.stats.recentLines || [] };
-    this.timers = { ...state.timers };
+  /**
+   * Step through the rewind buffer; the first step pauses the game (or reopens a lost one)
+   * @param {number} frames - Snapshots to move: negative goes back in time, positive forward
+   * @returns {boolean} Whether the game moved to another snapshot
+   */
+  stepRewind(frames) {
+    if (!this.rewind || this.rewind.length === 0) return false;
+    const newest = this.rewind.length - 1;
+    // After a death the game has moved past the newest snapshot (frames after it are not kept)
+    const current = this.rewindCursor ?? (this.deathCause ? newest + 1 : newest);
+    return this.seekRewind(Math.max(0, Math.min(newest, current + frames)));
+  }
 
-    this.status = "playing";
-    this.waitingForPiece = false;
+  /**
+   * Show a snapshot from the rewind buffer; the game stays paused there until resume() branches from it
+   * @param {number} index - 0 is the oldest snapshot, rewind.length - 1 the newest
+   * @returns {boolean} Whether the game moved to another snapshot
+   */
+  seekRewind(index) {
+    const snapshot = this.rewind?.get(index);
+    if (!snapshot || index === this.rewindCursor) return false;
+    if (this.rewindCursor === null) {
+      if (!["playing", "paused", "countdown", "gameover", "win"].includes(this.status)) return false;
+      this.pause("rewind");
+    }
 
+    this.rewindCursor = index;
+    this.applyState(snapshot);
+    this.status = "paused";
+    this.events.emit("rewound", { index, frames: this.rewind.length, secondsBack: this.getRewindSecondsBack() });
     return true;
   }
+
+  /**
+   * Game time between the shown snapshot and the newest one
+   * @returns {number} Seconds (0 when not rewinding)
+   */
+  getRewindSecondsBack() {
+    if (this.rewindCursor === null) return 0;
+    return this.rewind.get(this.rewind.length - 1).stats.time - this.rewind.get(this.rewindCursor).stats.time;
+  }
 }
@@ -0,0 +1,126 @@
+/**
+ * Engine Events
+ *
+ * GameEngine publishes what happens in a game through a typed event emitter
+ * (engine.events) so audio, analytics, achievements and the simulator can
+ * follow along without patching engine methods. Listeners run synchronously
+ * inside update() and must not change game state: replays only reproduce
+ * what the engine itself does.
+ *
+ * Coordinates in payloads are in cells (see GameEngine), pieces use grid cells.
+ */
+
+/**
+ * @typedef {{type: string, x: number, y: number, rotation: number}} PiecePosition
+ */
+
+/**
+ * Event names with a description of their payloads
+ */
+export const ENGINE_EVENTS = {
+  // {seed: number, settings: Object} - a copy of engine.settings
+  gameStarted: "A new game (or replay) began",
+  // {reason: "player"|"hidden"|"blur"|"restored"|"rewind"} ("restored": a saved game was just loaded)
+  paused: "The game was paused",
+  // {remaining: number} - whole seconds left, emitted once per second
+  countdown: "A resume countdown is running",
+  // {}
+  resumed: "Play continues after a pause",
+  // {index: number, frames: number, secondsBack: number} - position in engine.rewind
+  rewound: "The game jumped to a frame in the rewind buffer (paused there)",
+  // {piece: PiecePosition}
+  pieceSpawned: "A new piece entered the well",
+  // {piece: PiecePosition, held: string} - piece: the one swapped in at the top; held: the type put in the slot
+  pieceHeld: "The AI swapped the falling piece with the hold slot",
+  // {piece: PiecePosition, from: {x, y, rotation}, cause: "ai"|"gravity"}
+  pieceMoved: "The falling piece moved or rotated",
+  // {piece: PiecePosition, cells: Array<{x, y}>}
+  pieceLocked: "The falling piece locked into the grid",
+  // {rows: Array<number>, count: number, total: number, playerKilled: boolean}
+  linesCleared: "Completed rows were removed",
+  // {x: number, y: number}
+  playerJumped: "The player left the ground by jumping",
+  // {x: number, y: number, speed: number} - speed: fall speed on impact, cells per physics step
+  playerLanded: "The player landed after falling",
+  // {direction: "down"|"left"|"right", x: number, y: number, piece: string}
+  playerPushed: "A falling piece shoved the player aside",
+  // {queued: boolean} - queued: applies to the next piece because this one is about to land
+  sabotageTriggered: "The player sabotaged the AI",
+  // {target: {x, y, rotation}, previous: {x, y, rotation}|null, score: number, playerTriggered: boolean}
+  aiRetargeted: "The AI changed its target for the falling piece",
+  // {distance: number, piece: string} - distance: gap in cells between the locked piece and the player
+  nearMiss: "A piece locked right next to the player",
+  // {cause: Object, time: number, lines: number} - cause: see GameEngine.createDeathCause()
+  gameOver: "The game was lost",
+  // {time: number, lines: number}
+  gameWin: "The player escaped",
+  // {time: number, lines: number} - how far the game had come
+  gameAbandoned: "An unfinished game was dropped without a result",
+};
+
+export class EventEmitter {
+  /**
+   * @param {Object} events - Allowed event names as keys (e.g. ENGINE_EVENTS)
+   */
+  constructor(events) {
+    this.listeners = {};
+    for (const type of Object.keys(events)) this.listeners[type] = [];
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, handler) {
+    this.getListeners(type).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} type - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Call to unsubscribe
+   */
+  once(type, handler) {
+    const wrapper = (payload) => {
+      this.off(type, wrapper);
+      handler(payload);
+    };
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * @param {string} type - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    const listeners = this.getListeners(type);
+    const index = listeners.indexOf(handler);
+    if (index !== -1) listeners.splice(index, 1);
+  }
+
+  /**
+   * Call every listener of an event
+   * A throwing listener is reported and skipped so it cannot break the game loop.
+   * @param {string} type - Event name
+   * @param {Object} payload - Event data
+   */
+  emit(type, payload) {
+    for (const handler of [...this.getListeners(type)]) {
+      try {
+        handler(payload);
+      } catch (e) {
+        console.error(`Error in "${type}" listener:`, e);
+      }
+    }
+  }
+
+  getListeners(type) {
+    const listeners = this.listeners[type];
+    if (!listeners) throw new Error(`Unknown event "${type}"`);
+    return listeners;
+  }
+}
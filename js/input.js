@@ -1,44 +1,164 @@
+import { KeyBindings } from './bindings.js';
+
+// Gamepad (standard mapping) buttons and stick directions mapped onto actions
+export const GAMEPAD_BINDINGS = [
+  { action: "left", buttons: [14], axis: 0, sign: -1 }, // D-pad left, left stick
+  { action: "right", buttons: [15], axis: 0, sign: 1 }, // D-pad right, left stick
+  { action: "jump", buttons: [0, 12], axis: 1, sign: -1 }, // A / Cross, D-pad up, left stick up
+  { action: "sabotage", buttons: [2] }, // X / Square
+  { action: "pause", buttons: [9] }, // Start / Options
+];
+
+// Stick deflection ignored around the center (0..1) so worn sticks do not drift
+export const GAMEPAD_DEADZONE = 0.35;
+
 export class InputHandler {
-  constructor() {
-    this.keys = {};
+  /**
+   * @param {Object} [options]
+   * @param {EventTarget|null} [options.target] - Source of keyboard and gamepad events (default: window)
+   * @param {Function} [options.getGamepads] - Gamepad source (default: navigator.getGamepads), mockable in tests
+   * @param {KeyBindings} [options.bindings] - Keyboard map (default: saved or default bindings)
+   */
+  constructor(options = {}) {
+    this.bindings = options.bindings || new KeyBindings();
+
+    // Action name -> held; the engine reads this map every update
+    this.actions = {};
+    // Action name -> Set of sources (key codes, "gamepad", touch ids) currently holding it
+    this.sources = {};
+
+    // When set, the next key press is handed to this callback instead of the game (rebinding)
+    this.captureKey = null;
+
     this.onPause = () => {};
     this.onSabotage = () => {};
     this.onDumpState = () => {};
+    this.onRewindStep = () => {};
+    this.onGamepadChange = () => {};
 
-    window.addEventListener("keydown", (e) => this.handleKeyDown(e));
-    window.addEventListener("keyup", (e) => this.handleKeyUp(e));
-    window.addEventListener("blur", () => this.handleBlur());
-  }
+    // Gamepad state: id of the active pad and which of its bindings are held
+    this.getGamepads =
+      options.getGamepads ||
+      (() => (typeof navigator !== "undefined" && navigator.getGamepads ? navigator.getGamepads() : []));
+    this.gamepadId = null;
+    this.padActions = {};
 
-  handleKeyDown(e) {
-    this.keys[e.code] = true;
-    // Prevent scrolling for game keys
-    if (["ArrowUp", "ArrowLeft", "ArrowRight", "Space"].includes(e.code)) e.preventDefault();
-
-    // Toggle Pause
-    if (e.code === "KeyP" || e.code === "Escape") {
-      e.preventDefault();
-      this.onPause();
+    const target = options.target !== undefined ? options.target : window;
+    if (target) {
+      target.addEventListener("keydown", (e) => this.handleKeyDown(e));
+      target.addEventListener("keyup", (e) => this.handleKeyUp(e));
+      target.addEventListener("blur", () => this.handleBlur());
+      target.addEventListener("gamepadconnected", () => this.pollGamepads());
+      target.addEventListener("gamepaddisconnected", () => this.pollGamepads());
     }
+  }
 
-    // Trigger Sabotage
-    if (e.code === "KeyS") {
+  handleKeyDown(e) {
+    if (this.captureKey) {
       e.preventDefault();
-      this.onSabotage();
+      const capture = this.captureKey;
+      this.captureKey = null;
+      capture(e.code);
+      return;
     }
 
-    // Dump State (Debug) - F9 to avoid conflict with D=move right
-    if (e.code === "F9") {
-      e.preventDefault();
-      this.onDumpState();
-    }
+    const action = this.bindings.actionFor(e.code);
+    if (!action) return;
+    // Prevent scrolling and other browser defaults for bound keys
+    e.preventDefault();
+    this.pressAction(action, e.code);
   }
 
   handleKeyUp(e) {
-    this.keys[e.code] = false;
+    // Release by key rather than by binding, in case the key was rebound while held
+    for (const action of Object.keys(this.sources)) this.releaseAction(action, e.code);
+  }
+
+  /**
+   * Start an action; also used by on-screen controls and gamepads
+   * One-shot actions (pause, sabotage, dumpState, rewind steps) fire when the first source presses them.
+   * @param {string} action - Key of ACTIONS in bindings.js
+   * @param {string} [source] - What is pressing it (key code, "gamepad", ...); repeats are ignored
+   */
+  pressAction(action, source = action) {
+    const holders = this.sources[action] || (this.sources[action] = new Set());
+    if (holders.has(source)) return;
+    const alreadyHeld = holders.size > 0;
+    holders.add(source);
+    this.actions[action] = true;
+    if (alreadyHeld) return;
+
+    if (action === "pause") this.onPause();
+    else if (action === "sabotage") this.onSabotage();
+    else if (action === "dumpState") this.onDumpState();
+    else if (action === "rewindBack") this.onRewindStep(-1);
+    else if (action === "rewindForward") this.onRewindStep(1);
+  }
+
+  /**
+   * Stop an action for one source; it stays held while other sources press it
+   * @param {string} action
+   * @param {string} [source]
+   */
+  releaseAction(action, source = action) {
+    const holders = this.sources[action];
+    if (!holders || !holders.delete(source)) return;
+    this.actions[action] = holders.size > 0;
   }
 
   handleBlur() {
-    this.keys = {};
+    this.actions = {};
+    this.sources = {};
+    this.padActions = {};
   }
+
+  /**
+   * Read the first connected gamepad and press/release the mapped actions on changes.
+   * The Gamepad API has no input events, so call this once per frame.
+   */
+  pollGamepads() {
+    const pads = Array.from(this.getGamepads() || []).filter((pad) => pad && pad.connected !== false);
+    const pad = pads[0] || null;
+
+    // Hot-plug: a different (or no) controller releases everything the old one held
+    const id = pad ? pad.id : null;
+    if (id !== this.gamepadId) {
+      for (const action of Object.keys(this.padActions)) {
+        if (this.padActions[action]) this.releaseAction(action, "gamepad");
+      }
+      this.padActions = {};
+      this.gamepadId = id;
+      this.onGamepadChange(id);
+    }
+    if (!pad) return;
+
+    for (const binding of GAMEPAD_BINDINGS) {
+      const held = binding.buttons.some((i) => isButtonPressed(pad.buttons[i])) || isAxisPushed(pad, binding);
+      if (held === !!this.padActions[binding.action]) continue;
+
+      this.padActions[binding.action] = held;
+      if (held) this.pressAction(binding.action, "gamepad");
+      else this.releaseAction(binding.action, "gamepad");
+    }
+  }
+}
+
+/**
+ * @param {GamepadButton|number|undefined} button - Older browsers expose plain numbers
+ * @returns {boolean}
+ */
+function isButtonPressed(button) {
+  if (button === undefined) return false;
+  return typeof button === "object" ? button.pressed : button > 0.5;
+}
+
+/**
+ * @param {Gamepad} pad
+ * @param {{axis?: number, sign?: number}} binding
+ * @returns {boolean} True when the bound stick axis is pushed past the deadzone in the bound direction
+ */
+function isAxisPushed(pad, binding) {
+  if (binding.axis === undefined) return false;
+  const value = pad.axes[binding.axis] || 0;
+  return value * binding.sign > GAMEPAD_DEADZONE;
 }
@@ -1,6 +1,12 @@
 import { GameEngine } from './engine.js';
 import { GameRenderer } from './renderer.js';
 import { InputHandler } from './input.js';
+import { ReplayPlayer, REPLAY_FORMAT } from './replay.js';
+import { TouchControls } from './touch.js';
+import { PostMortem, explainDeath } from './postmortem.js';
+import { ACTIONS, BINDING_SLOTS, keyLabel } from './bindings.js';
+import { SaveStore, readState } from './savegame.js';
+import { AIWorker } from './aiworker.js';
 
 document.addEventListener("DOMContentLoaded", () => {
   const CANVAS = document.getElementById("gameCanvas");
@@ -9,35 +15,102 @@ document.addEventListener("DOMContentLoaded", () => {
     return;
   }
 
-  const renderer = new GameRenderer(CANVAS);
+  const renderer = new GameRenderer(
+    CANVAS,
+    document.getElementById("previewCanvas"),
+    document.getElementById("holdCanvas")
+  );
   const inputHandler = new InputHandler();
+  new TouchControls(inputHandler, CANVAS, document.getElementById("touchControls"));
 
   // Instantiate the engine
-  const game = new GameEngine({
-    width: CANVAS.width,
-    height: CANVAS.height,
-    onGameOver: (reason) => {
-      document.getElementById("deathReason").textContent = reason;
-      document.getElementById("finalHeight").textContent = Math.floor((1 - game.player.y / CANVAS.height) * 100);
-      document.getElementById("finalTime").textContent = Math.floor(game.stats.time);
-      document.getElementById("gameOverOverlay").classList.remove("hidden");
-      CANVAS.classList.add("death-animation");
-      setTimeout(() => CANVAS.classList.remove("death-animation"), 500);
-    },
-    onGameWin: () => {
-      document.getElementById("winTime").textContent = Math.floor(game.stats.time);
-      document.getElementById("winOverlay").classList.remove("hidden");
-    },
-    onLineCleared: (count) => {
-      // Optional: Add visual effects for line clear here if not handled by particles
-    },
+  // The last seconds can be rewound (F7/F8) when the page is opened with ?rewind; it costs a dump per frame
+  // AI target searches run in a worker when the browser supports module workers
+  const rewind = new URLSearchParams(location.search).has("rewind");
+  const aiWorker = typeof Worker !== "undefined" ? new AIWorker() : null;
+  const game = new GameEngine({ rewind, aiWorker });
+  const postMortem = new PostMortem(document.getElementById("postMortemCanvas"));
+
+  // The pause overlay follows the engine, which also pauses itself when the game is hidden
+  const PAUSE_MESSAGES = {
+    player: "Game paused",
+    hidden: "Paused while the tab was hidden",
+    blur: "Paused when the window lost focus",
+    restored: "Saved game restored",
+    stateLoaded: "State dump loaded",
+  };
+  game.events.on("paused", ({ reason }) => {
+    // Rewinding shows the well with a banner instead (see GameRenderer.drawRewind)
+    if (reason === "rewind") return;
+    document.getElementById("pauseReason").textContent = PAUSE_MESSAGES[reason];
+    const overlay = document.getElementById("pauseOverlay");
+    // A loaded dump is paused to be inspected, so keep the well and the AI overlay visible
+    overlay.classList.toggle("inspect", reason === "stateLoaded");
+    overlay.classList.remove("hidden");
+  });
+  game.events.on("paused", saveGame);
+  game.events.on("countdown", () => document.getElementById("pauseOverlay").classList.add("hidden"));
+  game.events.on("resumed", () => document.getElementById("pauseOverlay").classList.add("hidden"));
+  game.events.on("rewound", () => {
+    postMortem.hide();
+    ["pauseOverlay", "gameOverOverlay", "winOverlay"].forEach((id) =>
+      document.getElementById(id).classList.add("hidden")
+    );
+    document.getElementById("lines").textContent = game.stats.linesCleared;
+  });
+
+  // HUD counters that only change on events; time, height and cooldown are polled in updateUI()
+  game.events.on("gameStarted", () => {
+    document.getElementById("lines").textContent = 0;
+  });
+
+  // The unfinished game is saved whenever it pauses or the page goes away, and
+  // dropped once it is over or replaced, so Continue only offers a live game
+  const saveStore = new SaveStore();
+  const dropSave = () => {
+    if (!replayPlayer) saveStore.clear();
+  };
+  game.events.on("gameStarted", dropSave);
+  game.events.on("gameOver", dropSave);
+  game.events.on("gameWin", dropSave);
+  game.events.on("linesCleared", ({ total }) => {
+    document.getElementById("lines").textContent = total;
+  });
+  game.events.on("gameOver", ({ cause, time }) => {
+    document.getElementById("deathReason").textContent = cause.message;
+    const explanation = document.getElementById("deathExplanation");
+    explanation.innerHTML = "";
+    for (const sentence of explainDeath(cause, game.constants)) {
+      explanation.appendChild(document.createElement("li")).textContent = sentence;
+    }
+    postMortem.show(cause, game.constants, renderer.width * 0.5, renderer.height * 0.3);
+    document.getElementById("finalHeight").textContent = Math.floor((1 - game.player.y / game.height) * 100);
+    document.getElementById("finalTime").textContent = Math.floor(time);
+    document.getElementById("gameOverOverlay").classList.remove("hidden");
+    CANVAS.classList.add("death-animation");
+    setTimeout(() => CANVAS.classList.remove("death-animation"), 500);
+  });
+  game.events.on("gameWin", ({ time }) => {
+    document.getElementById("winTime").textContent = Math.floor(time);
+    document.getElementById("winOverlay").classList.remove("hidden");
   });
 
   // Connect Input Handler
-  inputHandler.onPause = togglePause;
-  inputHandler.onSabotage = () => game.triggerSabotage();
+  inputHandler.onPause = () => {
+    // P/Esc must not resume the game underneath the controls screen
+    if (!controlsReturnTo) togglePause();
+  };
+  inputHandler.onSabotage = () => {
+    // Sabotage during playback comes from the replay itself
+    if (!replayPlayer) game.triggerSabotage();
+  };
+  inputHandler.onGamepadChange = (id) => {
+    const status = document.getElementById("gamepadStatus");
+    status.textContent = id ? `🎮 Controller connected: ${id}` : "";
+    status.classList.toggle("hidden", !id);
+  };
   inputHandler.onDumpState = () => {
-    if (game.status === "playing" || game.status === "paused") {
+    if (["playing", "paused", "countdown"].includes(game.status)) {
       const state = game.dumpState();
       console.log("=== GAME STATE DUMP ===");
       console.log(JSON.stringify(state, null, 2));
@@ -52,14 +125,37 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
+  // Tap to step one frame; hold to play through the buffer backwards or forwards
+  const REWIND_HOLD_DELAY = 0.3; // Seconds
+  let rewindHeld = 0;
+  inputHandler.onRewindStep = (frames) => {
+    rewindHeld = 0;
+    // A replay drives the game itself, and the controls screen takes all keys
+    if (!replayPlayer && !controlsReturnTo) game.stepRewind(frames);
+  };
+
+  function updateRewindScrub(dt) {
+    const back = !!inputHandler.actions.rewindBack;
+    if (game.rewindCursor === null || back === !!inputHandler.actions.rewindForward) return;
+    rewindHeld += dt;
+    if (rewindHeld >= REWIND_HOLD_DELAY) game.stepRewind(back ? -1 : 1);
+  }
+
   // --- UI FUNCTIONS ---
 
   function updateUI() {
     if (!game.player) return;
-    const hPct = Math.max(0, Math.floor((1 - game.player.y / CANVAS.height) * 100));
+    const hPct = Math.max(0, Math.floor((1 - game.player.y / game.height) * 100));
     document.getElementById("height").textContent = hPct;
     document.getElementById("time").textContent = Math.floor(game.stats.time);
-    document.getElementById("lines").textContent = game.stats.linesCleared;
+
+    const replayStat = document.getElementById("replayStat");
+    replayStat.classList.toggle("hidden", !replayPlayer);
+    if (replayPlayer) {
+      document.getElementById("replayProgress").textContent = Math.floor(
+        (replayPlayer.frameIndex / replayPlayer.frameCount) * 100
+      );
+    }
 
     const sabEl = document.getElementById("sabotage");
     if (sabEl) {
@@ -76,26 +172,82 @@ document.addEventListener("DOMContentLoaded", () => {
   // --- CONTROL FUNCTIONS ---
 
   function startGame() {
+    replayPlayer = null;
+    postMortem.hide();
     game.start();
     ["startOverlay", "pauseOverlay", "gameOverOverlay", "winOverlay"].forEach((id) =>
       document.getElementById(id).classList.add("hidden")
     );
   }
 
-  function pauseGame() {
-    if (game.status === "playing") {
-      game.status = "paused";
-      document.getElementById("pauseOverlay").classList.remove("hidden");
+  function saveGame() {
+    // Replays are not the player's game, and a game whose player already died cannot continue
+    if (replayPlayer || game.deathCause) return;
+    if (["playing", "paused", "countdown"].includes(game.status)) saveStore.save(game.dumpState());
+  }
+
+  function continueGame() {
+    let state;
+    try {
+      state = readState(saveStore.load());
+    } catch (e) {
+      console.error(`Could not continue the saved game: ${e.message}`);
+      alert(`Could not continue the saved game: ${e.message}`);
+      saveStore.clear();
+      syncContinueButton();
+      return;
     }
+    // Let the player get their bearings before anything moves
+    playFromState(state, "restored");
+  }
+
+  /**
+   * Replace the current game with a dumped one
+   * @param {Object} state - Validated dump from readState()
+   * @param {string|null} pauseReason - Pause with this reason, or null to play at once
+   */
+  function playFromState(state, pauseReason) {
+    replayPlayer = null;
+    postMortem.hide();
+    game.loadState(state);
+    syncSettingButtons();
+    // The dump may use a different board size
+    fitToWindow();
+    ["startOverlay", "pauseOverlay", "gameOverOverlay", "winOverlay"].forEach((id) =>
+      document.getElementById(id).classList.add("hidden")
+    );
+    if (pauseReason) game.pause(pauseReason);
+  }
+
+  function syncContinueButton() {
+    document.getElementById("continue-btn").classList.toggle("hidden", !saveStore.has());
+  }
+
+  function pauseGame() {
+    game.pause();
   }
 
   function resumeGame() {
-    if (game.status === "paused") {
-      game.status = "playing";
-      document.getElementById("pauseOverlay").classList.add("hidden");
-      // Reset lastTime to prevent huge dt jump
-      lastTime = performance.now();
+    game.resume(resumeCountdown ? game.constants.RESUME_COUNTDOWN : 0);
+  }
+
+  // "3-2-1" before play continues; on unless the player turned it off
+  const COUNTDOWN_STORAGE_KEY = "tescape.resumeCountdown";
+  let resumeCountdown = true;
+  try {
+    resumeCountdown = localStorage.getItem(COUNTDOWN_STORAGE_KEY) !== "off";
+  } catch (e) {
+    // Storage unavailable (e.g. privacy mode): keep the default
+  }
+
+  function setResumeCountdown(enabled) {
+    resumeCountdown = enabled;
+    try {
+      localStorage.setItem(COUNTDOWN_STORAGE_KEY, enabled ? "on" : "off");
+    } catch (e) {
+      console.warn(`Could not save countdown setting: ${e.message}`);
     }
+    syncSettingButtons();
   }
 
   function restartGame() {
@@ -103,9 +255,146 @@ document.addEventListener("DOMContentLoaded", () => {
     startGame();
   }
 
+  // --- CONTROLS SCREEN ---
+
+  // Overlay to return to when the controls screen closes (null while closed)
+  let controlsReturnTo = null;
+
+  function openControls(fromOverlay) {
+    controlsReturnTo = fromOverlay;
+    fromOverlay.classList.add("hidden");
+    document.getElementById("controlsOverlay").classList.remove("hidden");
+    renderBindings();
+  }
+
+  function closeControls() {
+    inputHandler.captureKey = null;
+    document.getElementById("controlsOverlay").classList.add("hidden");
+    controlsReturnTo.classList.remove("hidden");
+    controlsReturnTo = null;
+    renderKeyboardHelp();
+  }
+
+  /**
+   * Rebuild the bindings table; clicking a slot waits for the next key press
+   * @param {string} [message] - Conflict or status message to show
+   */
+  function renderBindings(message = "") {
+    const { bindings } = inputHandler;
+    const table = document.getElementById("bindingsTable");
+    table.innerHTML = "";
+    document.getElementById("bindingsMessage").textContent = message;
+
+    for (const [action, label] of Object.entries(ACTIONS)) {
+      const row = table.insertRow();
+      row.insertCell().textContent = label;
+      const codes = bindings.keysFor(action);
+
+      for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+        const btn = document.createElement("button");
+        btn.className = "binding-slot";
+        btn.textContent = codes[slot] ? keyLabel(codes[slot]) : "—";
+        btn.addEventListener("click", () => {
+          btn.classList.add("listening");
+          btn.textContent = "Press a key…";
+          inputHandler.captureKey = (code) => {
+            if (code === "Escape") return renderBindings();
+            const newCode = code === "Delete" || code === "Backspace" ? null : code;
+            const result = bindings.rebind(action, slot, newCode);
+            renderBindings(result.ok ? "" : `${keyLabel(code)} is already bound to ${ACTIONS[result.conflict]}`);
+          };
+        });
+        row.insertCell().appendChild(btn);
+      }
+    }
+  }
+
+  // Show the current keyboard bindings in the side panel and start screen hint
+  function renderKeyboardHelp() {
+    const { bindings } = inputHandler;
+    const keys = (...actions) =>
+      actions
+        .flatMap((action) => bindings.keysFor(action))
+        .map((code) => `<span class="key">${keyLabel(code)}</span>`)
+        .join("");
+
+    document.getElementById("keyboardHelp").innerHTML = [
+      `<p>${keys("left", "right")} Move</p>`,
+      `<p>${keys("jump")} Jump</p>`,
+      `<p>${keys("sabotage")} Sabotage</p>`,
+      `<p>${keys("pause")} Pause</p>`,
+    ].join("");
+    document.getElementById("pauseHint").innerHTML =
+      `Press ${keys("sabotage")} to sabotage · ${keys("pause")} to pause`;
+  }
+
+  // --- REPLAYS ---
+
+  // Drives the game from a loaded replay instead of the keyboard while set
+  let replayPlayer = null;
+
+  function downloadReplay() {
+    const replay = game.getReplay();
+    if (!replay) return;
+    const blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `tescape-replay-${replay.seed}.json`;
+    link.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  function startReplay(replay) {
+    try {
+      replayPlayer = new ReplayPlayer(game, replay);
+    } catch (e) {
+      console.error(`Could not load replay: ${e.message}`);
+      alert(`Could not load replay: ${e.message}`);
+      return;
+    }
+    try {
+      replayPlayer.start();
+    } catch (e) {
+      replayPlayer = null;
+      console.error(`Could not start replay: ${e.message}`);
+      alert(`Could not start replay: ${e.message}`);
+      return;
+    }
+    postMortem.hide();
+    syncSettingButtons();
+    // The replay may use a different board size
+    fitToWindow();
+    ["startOverlay", "pauseOverlay", "gameOverOverlay", "winOverlay"].forEach((id) =>
+      document.getElementById(id).classList.add("hidden")
+    );
+  }
+
+  // Reflect settings applied by a replay in the selector buttons
+  function syncSettingButtons() {
+    document.querySelectorAll(".diff-btn").forEach((b) => {
+      b.classList.toggle("selected", b.dataset.difficulty === game.settings.difficulty);
+    });
+    document.querySelectorAll(".speed-btn").forEach((b) => {
+      b.classList.toggle("selected", parseFloat(b.dataset.speed) === game.settings.speed);
+    });
+    document.querySelectorAll(".rot-btn").forEach((b) => {
+      b.classList.toggle("selected", b.dataset.rotation === game.settings.rotationSystem);
+    });
+    document.querySelectorAll(".board-btn").forEach((b) => {
+      b.classList.toggle("selected", b.dataset.board === game.settings.boardSize);
+    });
+    document.querySelectorAll(".ai-btn").forEach((b) => {
+      b.classList.toggle("selected", b.dataset.personality === game.settings.personality);
+    });
+    document.querySelectorAll(".countdown-btn").forEach((b) => {
+      b.classList.toggle("selected", (b.dataset.countdown === "on") === resumeCountdown);
+    });
+  }
+
   function togglePause() {
-    if (game.status === "playing") pauseGame();
-    else if (game.status === "paused") resumeGame();
+    if (game.status === "paused") resumeGame();
+    else pauseGame();
   }
 
   // --- EVENT LISTENERS ---
@@ -138,10 +427,64 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   });
 
+  // UI Buttons - Rotation System Selection
+  document.querySelectorAll(".rot-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      const rotation = e.target.dataset.rotation;
+      if (rotation) {
+        game.selectRotationSystem(rotation);
+        document.querySelectorAll(".rot-btn").forEach((b) => {
+          b.classList.toggle("selected", b.dataset.rotation === rotation);
+        });
+      }
+    });
+  });
+
+  // UI Buttons - AI Personality Selection
+  document.querySelectorAll(".ai-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      const personality = e.target.dataset.personality;
+      if (personality) {
+        game.selectPersonality(personality);
+        document.querySelectorAll(".ai-btn").forEach((b) => {
+          b.classList.toggle("selected", b.dataset.personality === personality);
+        });
+      }
+    });
+  });
+
+  // Board size is picked on the start screen only; the well is resized right away
+  document.querySelectorAll(".board-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      const board = e.target.dataset.board;
+      if (board) {
+        game.selectBoardSize(board);
+        syncSettingButtons();
+        fitToWindow();
+      }
+    });
+  });
+
+  document.querySelectorAll(".countdown-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => setResumeCountdown(e.target.dataset.countdown === "on"));
+  });
+  syncSettingButtons();
+
+  // Pause by itself when the player can no longer see or control the game
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) game.pause("hidden");
+  });
+  window.addEventListener("blur", () => game.pause("blur"));
+  // Closing or reloading the page mid-game keeps it for Continue
+  window.addEventListener("pagehide", saveGame);
+
   // UI Buttons - Game Control
   const startBtn = document.getElementById("start-btn");
   if (startBtn) startBtn.addEventListener("click", startGame);
 
+  document.getElementById("continue-btn").addEventListener("click", continueGame);
+  syncContinueButton();
+
   const resumeBtn = document.getElementById("resume-btn");
   if (resumeBtn) resumeBtn.addEventListener("click", resumeGame);
 
@@ -154,6 +497,131 @@ document.addEventListener("DOMContentLoaded", () => {
   const playAgainBtn = document.getElementById("play-again-btn");
   if (playAgainBtn) playAgainBtn.addEventListener("click", startGame);
 
+  // UI Buttons - Controls Screen
+  document.querySelectorAll(".controls-btn").forEach((btn) =>
+    btn.addEventListener("click", () => openControls(btn.closest(".overlay")))
+  );
+  document.getElementById("controls-done-btn").addEventListener("click", closeControls);
+  document.getElementById("bindings-reset-btn").addEventListener("click", () => {
+    inputHandler.bindings.resetToDefaults();
+    renderBindings("Controls reset to defaults");
+  });
+  renderKeyboardHelp();
+
+  // UI Buttons - Replays
+  document.querySelectorAll(".replay-download-btn").forEach((btn) => btn.addEventListener("click", downloadReplay));
+
+  const replayInput = document.getElementById("replayFileInput");
+  const loadReplayBtn = document.getElementById("load-replay-btn");
+  if (loadReplayBtn && replayInput) {
+    loadReplayBtn.addEventListener("click", () => replayInput.click());
+    replayInput.addEventListener("change", async () => {
+      const file = replayInput.files[0];
+      replayInput.value = "";
+      if (!file) return;
+      try {
+        startReplay(JSON.parse(await file.text()));
+      } catch (e) {
+        console.error(`Could not read replay file: ${e.message}`);
+        alert(`Could not read replay file: ${e.message}`);
+      }
+    });
+  }
+
+  // --- DROPPED AND PASTED FILES ---
+
+  // F9 dumps (and replays) dropped on the page or pasted load straight into the game, so a
+  // tester's report can be reproduced interactively. Dumps start paused so the AI overlay can be
+  // inspected; hold Shift while dropping to play from the dump at once instead.
+  function loadDroppedJSON(data, playNow) {
+    if (data?.format === REPLAY_FORMAT) {
+      startReplay(data);
+      return;
+    }
+    let state;
+    try {
+      state = readState(data);
+    } catch (e) {
+      console.error(`Could not load state dump: ${e.message}`);
+      alert(`Could not load state dump: ${e.message}`);
+      return;
+    }
+    playFromState(state, playNow ? null : "stateLoaded");
+  }
+
+  document.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault(); // Allow the drop
+    document.body.classList.add("drag-over");
+  });
+  document.addEventListener("dragleave", (e) => {
+    // Leaving the window, not just moving between elements
+    if (!e.relatedTarget) document.body.classList.remove("drag-over");
+  });
+  document.addEventListener("drop", async (e) => {
+    document.body.classList.remove("drag-over");
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault(); // Keep the browser from opening the file
+    if (controlsReturnTo) return;
+    try {
+      loadDroppedJSON(JSON.parse(await file.text()), e.shiftKey);
+    } catch (err) {
+      console.error(`Could not read ${file.name}: ${err.message}`);
+      alert(`Could not read ${file.name}: ${err.message}`);
+    }
+  });
+  document.addEventListener("paste", (e) => {
+    if (controlsReturnTo) return;
+    let data;
+    try {
+      data = JSON.parse(e.clipboardData.getData("text"));
+    } catch (err) {
+      return; // Not JSON: nothing for the game to load
+    }
+    e.preventDefault();
+    loadDroppedJSON(data, false);
+  });
+
+  // --- RESPONSIVE LAYOUT ---
+
+  const container = document.querySelector(".game-container");
+  const wrapper = document.querySelector(".game-wrapper");
+  const infoPanel = document.querySelector(".info-panel");
+
+  // Size the well to the window beside the info panel (below it on portrait screens, see style.css)
+  function fitToWindow() {
+    const style = getComputedStyle(container);
+    const stacked = style.flexDirection.startsWith("column");
+    const gap = parseFloat(style.rowGap) || 0;
+    const frame = CANVAS.offsetWidth - CANVAS.clientWidth; // Border around the canvas
+    let maxWidth = window.innerWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight) - frame;
+    let maxHeight = window.innerHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom) - frame;
+    if (stacked) maxHeight -= infoPanel.offsetHeight + gap;
+    else maxWidth -= infoPanel.offsetWidth + gap;
+
+    const cell = renderer.resize(maxWidth, maxHeight, game.constants.COLS, game.constants.ROWS);
+    // Overlay text scales with the well (see .overlay in style.css)
+    wrapper.style.setProperty("--cell", `${cell}px`);
+  }
+
+  // devicePixelRatio changes (browser zoom, moving to another monitor) do not always fire resize
+  function watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+    query.addEventListener(
+      "change",
+      () => {
+        fitToWindow();
+        watchPixelRatio();
+      },
+      { once: true }
+    );
+  }
+
+  window.addEventListener("resize", fitToWindow);
+  watchPixelRatio();
+  fitToWindow();
+
   // --- MAIN LOOP ---
 
   let lastTime = 0;
@@ -161,9 +629,18 @@ document.addEventListener("DOMContentLoaded", () => {
     const dt = Math.min((timestamp - lastTime) / 1000, 0.1);
     lastTime = timestamp;
 
-    game.update(dt, inputHandler);
+    inputHandler.pollGamepads();
+    if (replayPlayer && game.status === "playing") {
+      // Recorded frames carry their own dt; when they run out the player takes over
+      if (!replayPlayer.step()) replayPlayer = null;
+    } else {
+      // Outside play this only advances a resume countdown, which replays do not record
+      game.update(dt, inputHandler);
+    }
+    updateRewindScrub(dt);
     updateUI();
     renderer.draw(game);
+    postMortem.update(dt);
 
     requestAnimationFrame(gameLoop);
   }
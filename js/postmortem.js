@@ -0,0 +1,202 @@
+/**
+ * Post-Mortem
+ *
+ * Explains a death from its structured cause (engine.deathCause) and loops the
+ * last seconds leading up to it on a small canvas. Everything comes from the
+ * snapshots stored in the cause, so playback never touches the engine.
+ */
+
+import { GameRenderer } from './renderer.js';
+
+// Playback runs in slow motion and holds the final frame before looping
+const PLAYBACK_SPEED = 0.5;
+const FINAL_FRAME_HOLD = 1.5; // Seconds
+
+/**
+ * Grid cells covered by a piece snapshot
+ * @param {{x: number, y: number, shape: Array<Array>}} piece
+ * @returns {Array<{x: number, y: number}>}
+ */
+function pieceCells(piece) {
+  const cells = [];
+  piece.shape.forEach((row, py) =>
+    row.forEach((filled, px) => {
+      if (filled) cells.push({ x: piece.x + px, y: piece.y + py });
+    })
+  );
+  return cells;
+}
+
+/**
+ * Whether a piece snapshot is over any column the player stands in
+ * @param {Object} piece - Piece snapshot
+ * @param {{x: number}} player - Player snapshot
+ * @param {Object} constants - Engine constants
+ * @returns {boolean}
+ */
+function isAbovePlayer(piece, player, constants) {
+  const right = player.x + constants.PLAYER_WIDTH;
+  return pieceCells(piece).some((c) => c.x < right && c.x + 1 > player.x);
+}
+
+/**
+ * @param {number} count
+ * @param {string} word - Singular form
+ * @returns {string} e.g. "1 row", "3 rows"
+ */
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Plain-language account of a death
+ * @param {Object} cause - engine.deathCause (see GameEngine.createDeathCause)
+ * @param {Object} constants - engine.constants of the game that ended
+ * @returns {Array<string>} Sentences describing what happened; the last one is a tip
+ */
+export function explainDeath(cause, constants) {
+  const final = cause.history[cause.history.length - 1];
+
+  switch (cause.type) {
+    case "squished": {
+      const column = Math.floor(cause.player.x + constants.PLAYER_WIDTH / 2) + 1;
+      const lines = [`A falling ${cause.piece.type} piece came down on you in column ${column}.`];
+
+      // Walk back while the same piece (it only ever moves down) hung over the player
+      let since = cause.time;
+      let laterY = Infinity;
+      for (let i = cause.history.length - 1; i >= 0; i--) {
+        const { piece, player, time } = cause.history[i];
+        if (!piece || !player || piece.type !== cause.piece.type || piece.y > laterY) break;
+        if (!isAbovePlayer(piece, player, constants)) break;
+        laterY = piece.y;
+        since = time;
+      }
+      const warning = cause.time - since;
+      if (since <= cause.history[0].time) {
+        lines.push(`It had been hanging over you for more than ${constants.DEATH_HISTORY_SECONDS}s.`);
+      } else if (warning < 0.5) {
+        lines.push(`It slid over you only ${warning.toFixed(1)}s before it hit, too late to dodge.`);
+      } else {
+        lines.push(`It was over your head for ${warning.toFixed(1)}s before it hit.`);
+      }
+
+      if (final.player.vy < 0) lines.push("You jumped up into it.");
+      else if (!final.player.onGround) lines.push("You were still in the air when it reached you.");
+      else lines.push("You were standing right underneath it.");
+
+      lines.push("Tip: step out from under a piece as soon as it is above you; the AI can drop it fast.");
+      return lines;
+    }
+
+    case "lineCleared": {
+      const rows = cause.rows.map((y) => constants.ROWS - y).sort((a, b) => a - b);
+      const which = rows.length === 1 ? `row ${rows[0]}` : `rows ${rows.join(", ")}`;
+      return [
+        `Your body filled the last gap in ${which} (counted from the bottom).`,
+        `You stayed in the gap for ${(cause.delay / 1000).toFixed(1)}s, so the line was completed and cleared ` +
+          "with you in it.",
+        "Tip: on this difficulty you count as a block. Don't linger in a row's last hole while it flashes red.",
+      ];
+    }
+
+    case "fieldFilled": {
+      const short = Math.max(0, Math.ceil(cause.player.y + constants.PLAYER_HEIGHT - constants.ESCAPE_ZONE_ROWS));
+      return [
+        `The stack reached the top, so the next ${cause.piece.type} piece had nowhere to spawn.`,
+        `You were ${plural(short, "row")} short of the escape zone.`,
+        "Tip: climb while the stack is still low, and sabotage to spoil the AI's neat placements.",
+      ];
+    }
+
+    default:
+      return [cause.message];
+  }
+}
+
+export class PostMortem {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to loop the final moments on
+   */
+  constructor(canvas) {
+    this.renderer = new GameRenderer(canvas);
+    this.cause = null;
+    this.constants = null;
+    // Game time since the first snapshot, advanced at PLAYBACK_SPEED
+    this.elapsed = 0;
+  }
+
+  /**
+   * Start looping the last moments before a death
+   * @param {Object} cause - engine.deathCause
+   * @param {Object} constants - engine.constants of the game that ended
+   * @param {number} maxWidth - Available CSS pixels
+   * @param {number} maxHeight - Available CSS pixels
+   */
+  show(cause, constants, maxWidth, maxHeight) {
+    this.cause = cause;
+    this.constants = constants;
+    this.elapsed = 0;
+    this.renderer.resize(maxWidth, maxHeight, constants.COLS, constants.ROWS);
+    this.draw();
+  }
+
+  hide() {
+    this.cause = null;
+  }
+
+  /**
+   * Advance the playback; call once per frame
+   * @param {number} dt - Real seconds since the last frame
+   */
+  update(dt) {
+    if (!this.cause) return;
+    const { history } = this.cause;
+    const duration = history[history.length - 1].time - history[0].time;
+    this.elapsed = (this.elapsed + dt * PLAYBACK_SPEED) % (duration + FINAL_FRAME_HOLD * PLAYBACK_SPEED);
+    this.draw();
+  }
+
+  draw() {
+    const { history } = this.cause;
+    const time = history[0].time + this.elapsed;
+    let index = 0;
+    while (index < history.length - 1 && history[index + 1].time <= time) index++;
+
+    const final = index === history.length - 1;
+    this.renderer.draw(this.createView(history[index], final));
+    if (final) this.renderer.drawCellOutline(this.getCulpritCells(history[index]), "#e94560");
+  }
+
+  /**
+   * Cells to point at on the final frame: the killing piece or the cleared rows
+   * @param {Object} snapshot - Final snapshot
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getCulpritCells(snapshot) {
+    if (this.cause.type === "lineCleared") {
+      return this.cause.rows.flatMap((y) => Array.from({ length: this.constants.COLS }, (_, x) => ({ x, y })));
+    }
+    return snapshot.piece ? pieceCells(snapshot.piece) : [];
+  }
+
+  /**
+   * The parts of a GameEngine that GameRenderer.draw() reads, filled from a snapshot
+   * @param {Object} snapshot - Entry of cause.history
+   * @param {boolean} final - Last snapshot (the player is drawn dead)
+   * @returns {Object}
+   */
+  createView(snapshot, final) {
+    const player = snapshot.player ? { ...snapshot.player, dead: final } : null;
+    return {
+      constants: this.constants,
+      status: "gameover",
+      grid: snapshot.grid,
+      currentPiece: snapshot.piece,
+      player,
+      particles: [],
+      timers: { playerLineClear: 0 },
+      getPlayerRenderPosition: () => ({ x: player.x, y: player.y }),
+    };
+  }
+}
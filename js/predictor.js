@@ -0,0 +1,111 @@
+/**
+ * Player Movement Prediction
+ *
+ * Estimates where the player will be when the falling piece lands, so the AI
+ * keeps its danger zone on where the player is heading instead of reacting to
+ * where they were. The model is simple and deterministic:
+ *
+ * - The player keeps running at their recent speed (player.runSpeed, a running
+ *   average in cells per physics step) for PREDICTION_RUN_TIME, then stops.
+ *   Players change direction too often to extrapolate further.
+ * - They stay within the columns they can reach before the piece lands.
+ * - A column is reachable when every step up on the way is climbable
+ *   (MAX_CLIMBABLE_HEIGHT); drops are always fine. Columns are judged by their
+ *   top block, so overhangs are not modelled.
+ * - A player in the air follows gravity until their feet reach the stack.
+ */
+
+/**
+ * Predict the player's position after some time
+ * @param {Object} engine - GameEngine (reads the player, grid and constants)
+ * @param {number} seconds - Time ahead, usually until the piece lands (GameEngine.getLandingTime())
+ * @returns {Object|null} Null without a player, otherwise:
+ *   - x, y: predicted position in cells (top-left, like player.x/y)
+ *   - column: predicted center column (as GameEngine.getPlayerGridX())
+ *   - left, right: leftmost and rightmost column the player can reach in time
+ *   - landsIn: seconds until an airborne player lands (0 on the ground, null if not in time)
+ *   - seconds: how far ahead the prediction is
+ */
+export function predictPlayer(engine, seconds) {
+  const { player, constants: c } = engine;
+  if (!player) return null;
+
+  const width = c.PLAYER_WIDTH;
+  const height = c.PLAYER_HEIGHT;
+  const edge = c.COLLISION_STEP;
+  const steps = Math.max(0, Math.round(seconds / c.PHYSICS_STEP));
+  const tops = columnTops(engine.grid, c.COLS, c.ROWS);
+  // Row the player stands on at a position: the highest top under their body
+  const surface = (x) => {
+    let top = c.ROWS;
+    for (let col = Math.floor(x); col <= Math.floor(x + width - edge); col++) top = Math.min(top, tops[col]);
+    return top;
+  };
+
+  // Jumps start from the stack under the player, or from where they are if that is higher
+  const level = Math.min(player.y + height, surface(player.x));
+  const budget = c.MOVE_SPEED * steps;
+  const first = Math.floor(player.x);
+  const last = Math.floor(player.x + width - edge);
+  const left = reach(tops, first, -1, (col) => player.x - (col + 1), budget, level, c);
+  const right = reach(tops, last, 1, (col) => col - (player.x + width), budget, level, c);
+
+  const minX = Math.min(player.x, left);
+  const maxX = Math.max(player.x, right + 1 - width);
+  const runSteps = Math.round(c.PREDICTION_RUN_TIME / c.PHYSICS_STEP);
+  const xAt = (step) => Math.max(minX, Math.min(maxX, player.x + player.runSpeed * Math.min(step, runSteps)));
+  const x = xAt(steps);
+
+  let y = player.y;
+  let landsIn = player.onGround ? 0 : null;
+  if (!player.onGround) {
+    let vy = player.vy;
+    for (let step = 1; step <= steps; step++) {
+      vy = Math.min(vy + c.GRAVITY, c.TERMINAL_VELOCITY);
+      y += vy;
+      const ground = surface(xAt(step));
+      if (vy > 0 && y + height >= ground) {
+        landsIn = step * c.PHYSICS_STEP;
+        break;
+      }
+    }
+  }
+  // On the ground the player walks along the top of the stack
+  if (landsIn !== null) y = surface(x) - height;
+
+  return { x, y, column: Math.floor(x + width / 2), left, right, landsIn, seconds };
+}
+
+/**
+ * @returns {Array<number>} Row of the top block of each column (rows when empty)
+ */
+function columnTops(grid, cols, rows) {
+  const tops = [];
+  for (let x = 0; x < cols; x++) {
+    let y = 0;
+    while (y < rows && !grid[y][x]) y++;
+    tops.push(y);
+  }
+  return tops;
+}
+
+/**
+ * Furthest column the player can walk to in one direction
+ * @param {Array<number>} tops - From columnTops()
+ * @param {number} from - Outermost column the player covers on that side
+ * @param {number} dir - -1 for left, 1 for right
+ * @param {Function} distance - (column) => cells to run before the player's body enters it
+ * @param {number} budget - Cells the player can run in time
+ * @param {number} level - Row the player's feet start from
+ * @param {Object} c - Engine constants
+ * @returns {number} Column index
+ */
+function reach(tops, from, dir, distance, budget, level, c) {
+  let col = from;
+  for (let next = from + dir; next >= 0 && next < c.COLS; next += dir) {
+    if (distance(next) >= budget || level - tops[next] > c.MAX_CLIMBABLE_HEIGHT) break;
+    level = tops[next];
+    col = next;
+  }
+  return col;
+}
@@ -0,0 +1,259 @@
+import { TETROMINOES } from './constants.js';
+import { getRandomTetrominoType } from './utils.js';
+
+/**
+ * Piece Randomizers
+ *
+ * Each randomizer decides which tetromino type comes next. They all draw from
+ * the engine's SeededRandom so sequences are reproducible, and expose
+ * getState()/setState() so dumps can restore the exact upcoming sequence.
+ *
+ * Strategies:
+ * - uniform: independent uniform pick every time (classic, allows long droughts)
+ * - bag7: shuffle all 7 pieces, deal them out, repeat (max I drought = 12)
+ * - bag14: same with two copies of each piece (looser, still bounded droughts)
+ * - history: TGM-style, reroll up to N times if the pick is in the last 4 pieces
+ *
+ * getDistribution(ahead) gives the chances of each type for an upcoming piece
+ * without drawing it (the AI's lookahead beyond the preview queue).
+ */
+
+const PIECE_TYPES = Object.keys(TETROMINOES);
+
+/**
+ * Chances of drawing each type from a pool of pieces
+ * @param {Array<string>} pool - Types, repeated as often as they occur
+ * @returns {Array<{type: string, weight: number}>} Types in the pool, weights summing to 1
+ */
+function poolDistribution(pool) {
+  return PIECE_TYPES.filter((type) => pool.includes(type)).map((type) => ({
+    type,
+    weight: pool.filter((t) => t === type).length / pool.length,
+  }));
+}
+
+export class UniformRandomizer {
+  constructor(rng) {
+    this.rng = rng;
+  }
+
+  next() {
+    return getRandomTetrominoType(this.rng);
+  }
+
+  /**
+   * @param {number} [ahead] - Pieces drawn before it (0 = the next one)
+   * @returns {Array<{type: string, weight: number}>}
+   */
+  getDistribution() {
+    return poolDistribution(PIECE_TYPES);
+  }
+
+  getState() {
+    return {};
+  }
+
+  setState() {}
+}
+
+export class BagRandomizer {
+  /**
+   * @param {SeededRandom} rng - Random source
+   * @param {number} copies - Copies of each piece per bag (1 = 7-bag, 2 = 14-bag)
+   */
+  constructor(rng, copies = 1) {
+    this.rng = rng;
+    this.copies = copies;
+    this.bag = [];
+  }
+
+  refill() {
+    const bag = [];
+    for (let i = 0; i < this.copies; i++) bag.push(...PIECE_TYPES);
+
+    // Fisher-Yates shuffle
+    for (let i = bag.length - 1; i > 0; i--) {
+      const j = this.rng.nextInt(i + 1);
+      [bag[i], bag[j]] = [bag[j], bag[i]];
+    }
+    this.bag = bag;
+  }
+
+  next() {
+    if (this.bag.length === 0) this.refill();
+    return this.bag.shift();
+  }
+
+  /**
+   * Any piece still in the bag is equally likely to come at any of its places (the shuffled order is
+   * not given away); past the bag, a fresh one holds every type equally often
+   * @param {number} [ahead] - Pieces drawn before it (0 = the next one)
+   * @returns {Array<{type: string, weight: number}>}
+   */
+  getDistribution(ahead = 0) {
+    return poolDistribution(ahead < this.bag.length ? this.bag : PIECE_TYPES);
+  }
+
+  getState() {
+    return { bag: [...this.bag] };
+  }
+
+  setState(state) {
+    this.bag = state && Array.isArray(state.bag) ? [...state.bag] : [];
+  }
+}
+
+export class HistoryRandomizer {
+  /**
+   * @param {SeededRandom} rng - Random source
+   * @param {number} rolls - Max picks before accepting a piece from history (TGM1: 4, TGM2: 6)
+   * @param {number} historySize - Number of recent pieces to avoid
+   */
+  constructor(rng, rolls = 4, historySize = 4) {
+    this.rng = rng;
+    this.rolls = rolls;
+    // TGM seeds the history with S/Z so the first pieces are not snakes
+    this.history = Array.from({ length: historySize }, (_, i) => (i % 2 === 0 ? "S" : "Z"));
+    this.first = true;
+  }
+
+  next() {
+    let type;
+    if (this.first) {
+      // First piece is never S, Z or O (they force an overhang on an empty well)
+      const starters = PIECE_TYPES.filter((t) => !["S", "Z", "O"].includes(t));
+      type = starters[this.rng.nextInt(starters.length)];
+      this.first = false;
+    } else {
+      for (let i = 0; i < this.rolls; i++) {
+        type = getRandomTetrominoType(this.rng);
+        if (!this.history.includes(type)) break;
+      }
+    }
+
+    this.history.shift();
+    this.history.push(type);
+    return type;
+  }
+
+  /**
+   * Follows every way the pieces in between can come, so later pieces see the history they would
+   * @param {number} [ahead] - Pieces drawn before it (0 = the next one)
+   * @returns {Array<{type: string, weight: number}>}
+   */
+  getDistribution(ahead = 0) {
+    let states = [{ history: this.history, first: this.first, weight: 1 }];
+    for (let i = 0; i < ahead; i++) {
+      // Orders that end in the same history deal alike from then on, so they share one state
+      // (at most 7^historySize of them, however far ahead)
+      const merged = new Map();
+      for (const state of states) {
+        for (const { type, weight } of this.pickChances(state.history, state.first)) {
+          const history = [...state.history.slice(1), type];
+          const key = history.join();
+          const known = merged.get(key);
+          if (known) known.weight += state.weight * weight;
+          else merged.set(key, { history, first: false, weight: state.weight * weight });
+        }
+      }
+      states = [...merged.values()];
+    }
+
+    const totals = {};
+    for (const state of states) {
+      for (const { type, weight } of this.pickChances(state.history, state.first)) {
+        totals[type] = (totals[type] ?? 0) + state.weight * weight;
+      }
+    }
+    return PIECE_TYPES.filter((type) => totals[type] > 0).map((type) => ({ type, weight: totals[type] }));
+  }
+
+  /**
+   * Chances of each type for one next() call
+   * A type outside the history is taken by any roll that picks it before a roll misses the history;
+   * a type in it only by the last roll after all others hit the history.
+   * @param {Array<string>} history - Recent pieces
+   * @param {boolean} first - Whether this is the first piece
+   * @returns {Array<{type: string, weight: number}>}
+   */
+  pickChances(history, first) {
+    if (first) return poolDistribution(PIECE_TYPES.filter((t) => !["S", "Z", "O"].includes(t)));
+    const n = PIECE_TYPES.length;
+    const hit = PIECE_TYPES.filter((t) => history.includes(t)).length / n;
+    const missed = (1 - hit ** this.rolls) / (1 - hit) / n;
+    return PIECE_TYPES.map((type) => ({ type, weight: history.includes(type) ? hit ** (this.rolls - 1) / n : missed }));
+  }
+
+  getState() {
+    return { history: [...this.history], first: this.first };
+  }
+
+  setState(state) {
+    if (!state) return;
+    if (Array.isArray(state.history)) this.history = [...state.history];
+    if (state.first !== undefined) this.first = state.first;
+  }
+}
+
+/**
+ * Deals a fixed sequence of pieces, looping when exhausted.
+ * Intended for tests and reproductions that need an exact piece order.
+ */
+export class SequenceRandomizer {
+  /**
+   * @param {Array<string>} sequence - Tetromino types to deal, in order
+   */
+  constructor(sequence) {
+    if (!sequence || sequence.length === 0) throw new Error("SequenceRandomizer needs at least one piece");
+    for (const type of sequence) {
+      if (!TETROMINOES[type]) throw new Error(`Unknown tetromino type: ${type}`);
+    }
+    this.sequence = [...sequence];
+    this.index = 0;
+  }
+
+  next() {
+    const type = this.sequence[this.index % this.sequence.length];
+    this.index++;
+    return type;
+  }
+
+  /**
+   * @param {number} [ahead] - Pieces drawn before it (0 = the next one)
+   * @returns {Array<{type: string, weight: number}>}
+   */
+  getDistribution(ahead = 0) {
+    return [{ type: this.sequence[(this.index + ahead) % this.sequence.length], weight: 1 }];
+  }
+
+  getState() {
+    return { index: this.index };
+  }
+
+  setState(state) {
+    if (state && Number.isInteger(state.index)) this.index = state.index;
+  }
+}
+
+export const RANDOMIZERS = {
+  uniform: (rng) => new UniformRandomizer(rng),
+  bag7: (rng) => new BagRandomizer(rng, 1),
+  bag14: (rng) => new BagRandomizer(rng, 2),
+  history: (rng) => new HistoryRandomizer(rng),
+};
+
+/**
+ * Create a randomizer from a strategy name or factory
+ * @param {string|Function} strategy - Key of RANDOMIZERS, or (rng) => randomizer
+ * @param {SeededRandom} rng - Random source
+ * @returns {{next: Function, getState: Function, setState: Function}}
+ */
+export function createRandomizer(strategy, rng) {
+  if (typeof strategy === "function") return strategy(rng);
+
+  const factory = RANDOMIZERS[strategy || "uniform"];
+  if (!factory) {
+    throw new Error(`Unknown randomizer "${strategy}" (expected one of: ${Object.keys(RANDOMIZERS).join(", ")})`);
+  }
+  return factory(rng);
+}
@@ -2,22 +2,68 @@ import { TETROMINOES } from './constants.js';
 import { getShape } from './utils.js';
 
 export class GameRenderer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Main well canvas
+   * @param {HTMLCanvasElement} [previewCanvas] - Optional canvas for the next-piece queue
+   * @param {HTMLCanvasElement} [holdCanvas] - Optional canvas for the AI's hold slot
+   */
+  constructor(canvas, previewCanvas = null, holdCanvas = null) {
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
+    this.previewCanvas = previewCanvas;
+    this.previewCtx = previewCanvas ? previewCanvas.getContext("2d") : null;
+    this.holdCanvas = holdCanvas;
+    this.holdCtx = holdCanvas ? holdCanvas.getContext("2d") : null;
+
+    // Drawing happens in CSS pixels; the backing stores are scaled by devicePixelRatio.
+    // The sizes in the HTML attributes are the CSS sizes until resize() is called.
+    this.dpr = 1;
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.previewSize = previewCanvas ? { width: previewCanvas.width, height: previewCanvas.height } : null;
+    this.holdSize = holdCanvas ? { width: holdCanvas.width, height: holdCanvas.height } : null;
+    // Pixels per cell; the engine works in cells and the renderer scales to the canvas
+    this.cell = 0;
+  }
+
+  /**
+   * Fit the well into a box while keeping the board's aspect ratio, and match
+   * every canvas's backing store to the screen's devicePixelRatio.
+   * Only the drawing changes; the engine's simulation is in cells.
+   * @param {number} maxWidth - Available CSS pixels
+   * @param {number} maxHeight - Available CSS pixels
+   * @param {number} cols - Board columns
+   * @param {number} rows - Board rows
+   * @param {number} [dpr] - Device pixels per CSS pixel (default: window.devicePixelRatio)
+   * @returns {number} CSS pixels per cell
+   */
+  resize(maxWidth, maxHeight, cols, rows, dpr = window.devicePixelRatio || 1) {
+    // Whole pixels per cell keep grid lines and blocks crisp
+    const cell = Math.max(8, Math.floor(Math.min(maxWidth / cols, maxHeight / rows)));
+    this.dpr = dpr;
+    this.width = cell * cols;
+    this.height = cell * rows;
+
+    scaleCanvas(this.canvas, this.ctx, this.width, this.height, dpr);
+    if (this.previewCtx) {
+      scaleCanvas(this.previewCanvas, this.previewCtx, this.previewSize.width, this.previewSize.height, dpr);
+    }
+    if (this.holdCtx) scaleCanvas(this.holdCanvas, this.holdCtx, this.holdSize.width, this.holdSize.height, dpr);
+    return cell;
   }
 
   draw(game) {
-    const { ctx, canvas } = this;
+    const { ctx } = this;
+    this.cell = this.height / game.constants.ROWS;
 
     // Clear canvas
     ctx.fillStyle = "#0a0a15";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillRect(0, 0, this.width, this.height);
 
-    if (["playing", "paused", "gameover", "win"].includes(game.status)) {
+    if (["playing", "paused", "countdown", "gameover", "win"].includes(game.status)) {
       ctx.save();
       ctx.beginPath();
-      ctx.rect(0, 0, canvas.width, canvas.height);
+      ctx.rect(0, 0, this.width, this.height);
       ctx.clip();
 
       this.drawEscapeZone(game);
@@ -27,28 +73,92 @@ export class GameRenderer {
       this.drawDebugOverlay(game);
       this.drawPlayer(game);
       this.drawParticles(game);
+      this.drawCountdown(game);
+      this.drawRewind(game);
 
       ctx.restore();
     }
+
+    this.drawPreview(game);
+    this.drawHold(game);
+  }
+
+  /**
+   * Draw the upcoming pieces on the preview canvas, one slot per piece
+   * @param {GameEngine} game
+   */
+  drawPreview(game) {
+    const { previewCtx: ctx, previewSize: size } = this;
+    if (!ctx) return;
+
+    ctx.clearRect(0, 0, size.width, size.height);
+    if (!["playing", "paused", "countdown"].includes(game.status) || game.previewCount <= 0) return;
+
+    const slotHeight = size.height / game.previewCount;
+    game.nextPieces.slice(0, game.previewCount).forEach((type, i) => {
+      // Fade pieces further back in the queue
+      this.drawPieceInSlot(ctx, type, i * slotHeight, size.width, slotHeight, i === 0 ? 1 : 0.6);
+    });
+  }
+
+  /**
+   * Draw the AI's held piece on the hold canvas (dimmed once used this spawn)
+   * @param {GameEngine} game
+   */
+  drawHold(game) {
+    const { holdCtx: ctx, holdSize: size } = this;
+    if (!ctx) return;
+
+    ctx.clearRect(0, 0, size.width, size.height);
+    if (!["playing", "paused", "countdown"].includes(game.status) || !game.heldPiece) return;
+
+    this.drawPieceInSlot(ctx, game.heldPiece, 0, size.width, size.height, game.holdUsed ? 0.4 : 1);
+  }
+
+  /**
+   * Draw a piece centered in a horizontal slot of a side canvas
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {string} type - Tetromino type
+   * @param {number} top - Slot top in pixels
+   * @param {number} width - Slot width in pixels
+   * @param {number} height - Slot height in pixels
+   * @param {number} alpha - Opacity
+   */
+  drawPieceInSlot(ctx, type, top, width, height, alpha) {
+    const shape = getShape(type, 0);
+    // Size cells so the widest piece (I, 4 cells) fits with a margin
+    const cellSize = Math.min(width / 5, height / 3);
+    const offsetX = (width - shape[0].length * cellSize) / 2;
+    const offsetY = top + (height - shape.length * cellSize) / 2;
+
+    ctx.globalAlpha = alpha;
+    for (let y = 0; y < shape.length; y++) {
+      for (let x = 0; x < shape[y].length; x++) {
+        if (shape[y][x]) {
+          this.drawBlock(offsetX + x * cellSize, offsetY + y * cellSize, TETROMINOES[type].color, cellSize, ctx);
+        }
+      }
+    }
+    ctx.globalAlpha = 1;
   }
 
   drawGrid(game) {
-    const { ctx, canvas } = this;
+    const { ctx } = this;
     ctx.strokeStyle = "rgba(255, 255, 255, 0.05)";
     ctx.lineWidth = 1;
 
     // Vertical lines
     for (let x = 0; x <= game.constants.COLS; x++) {
       ctx.beginPath();
-      ctx.moveTo(x * game.constants.CELL_SIZE, 0);
-      ctx.lineTo(x * game.constants.CELL_SIZE, canvas.height);
+      ctx.moveTo(x * this.cell, 0);
+      ctx.lineTo(x * this.cell, this.height);
       ctx.stroke();
     }
     // Horizontal lines
     for (let y = 0; y <= game.constants.ROWS; y++) {
       ctx.beginPath();
-      ctx.moveTo(0, y * game.constants.CELL_SIZE);
-      ctx.lineTo(canvas.width, y * game.constants.CELL_SIZE);
+      ctx.moveTo(0, y * this.cell);
+      ctx.lineTo(this.width, y * this.cell);
       ctx.stroke();
     }
 
@@ -57,29 +167,30 @@ export class GameRenderer {
       for (let x = 0; x < game.constants.COLS; x++) {
         if (game.grid[y][x]) {
           this.drawBlock(
-            x * game.constants.CELL_SIZE,
-            y * game.constants.CELL_SIZE,
+            x * this.cell,
+            y * this.cell,
             game.grid[y][x],
-            game.constants.CELL_SIZE
+            this.cell
           );
         }
       }
     }
   }
 
-  drawBlock(x, y, color, size) {
-    const { ctx } = this;
+  drawBlock(x, y, color, size, ctx = this.ctx) {
     const s = size;
+    // Bevel unit: 2px on a 35px cell
+    const b = s / 17.5;
     ctx.fillStyle = color;
-    ctx.fillRect(x + 2, y + 2, s - 4, s - 4);
+    ctx.fillRect(x + b, y + b, s - 2 * b, s - 2 * b);
 
     ctx.fillStyle = "rgba(255, 255, 255, 0.3)";
-    ctx.fillRect(x + 2, y + 2, s - 4, 6);
-    ctx.fillRect(x + 2, y + 2, 6, s - 4);
+    ctx.fillRect(x + b, y + b, s - 2 * b, 3 * b);
+    ctx.fillRect(x + b, y + b, 3 * b, s - 2 * b);
 
     ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
-    ctx.fillRect(x + s - 8, y + 8, 6, s - 10);
-    ctx.fillRect(x + 8, y + s - 8, s - 10, 6);
+    ctx.fillRect(x + s - 4 * b, y + 4 * b, 3 * b, s - 5 * b);
+    ctx.fillRect(x + 4 * b, y + s - 4 * b, s - 5 * b, 3 * b);
   }
 
   drawCurrentPiece(game) {
@@ -89,32 +200,50 @@ export class GameRenderer {
       for (let x = 0; x < p.shape[y].length; x++) {
         if (p.shape[y][x]) {
           this.drawBlock(
-            (p.x + x) * game.constants.CELL_SIZE,
-            (p.y + y) * game.constants.CELL_SIZE,
+            (p.x + x) * this.cell,
+            (p.y + y) * this.cell,
             p.color,
-            game.constants.CELL_SIZE
+            this.cell
           );
         }
       }
     }
   }
 
+  /**
+   * Outline grid cells, e.g. the piece that killed the player in the post-mortem
+   * @param {Array<{x: number, y: number}>} cells
+   * @param {string} color
+   */
+  drawCellOutline(cells, color) {
+    const { ctx } = this;
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1, this.cell / 10);
+    for (const c of cells) {
+      ctx.strokeRect(c.x * this.cell, c.y * this.cell, this.cell, this.cell);
+    }
+    ctx.restore();
+  }
+
   drawPlayer(game) {
     const { ctx } = this;
-    const p = game.player;
-    if (!p) return;
+    if (!game.player) return;
+    // Draw between physics steps so motion stays smooth at any refresh rate
+    const p = { ...game.player, ...game.getPlayerRenderPosition() };
+    p.x *= this.cell;
+    p.y *= this.cell;
+    const w = game.constants.PLAYER_WIDTH * this.cell;
+    const h = game.constants.PLAYER_HEIGHT * this.cell;
 
     if (p.dead) {
-      ctx.font = `${game.constants.CELL_SIZE}px serif`;
+      ctx.font = `${this.cell}px serif`;
       ctx.textAlign = "center";
       ctx.textBaseline = "middle";
-      ctx.fillText("😵", p.x + game.constants.PLAYER_WIDTH / 2, p.y + game.constants.PLAYER_HEIGHT / 2);
+      ctx.fillText("😵", p.x + w / 2, p.y + h / 2);
       return;
     }
 
-    const w = game.constants.PLAYER_WIDTH;
-    const h = game.constants.PLAYER_HEIGHT;
-
     // Body
     ctx.fillStyle = "#4ecca3";
     ctx.fillRect(p.x + w * 0.15, p.y + h * 0.28, w * 0.7, h * 0.45);
@@ -127,15 +256,15 @@ export class GameRenderer {
 
     // Eyes
     ctx.fillStyle = "#1a1a2e";
-    const eyeOff = p.facingRight ? 3 : -3;
+    const eyeOff = (p.facingRight ? 1 : -1) * w * 0.12;
     ctx.beginPath();
-    ctx.arc(p.x + w / 2 + eyeOff - 5, p.y + h * 0.16, 3, 0, Math.PI * 2);
-    ctx.arc(p.x + w / 2 + eyeOff + 5, p.y + h * 0.16, 3, 0, Math.PI * 2);
+    ctx.arc(p.x + w / 2 + eyeOff - w * 0.2, p.y + h * 0.16, w * 0.12, 0, Math.PI * 2);
+    ctx.arc(p.x + w / 2 + eyeOff + w * 0.2, p.y + h * 0.16, w * 0.12, 0, Math.PI * 2);
     ctx.fill();
 
     // Legs
     ctx.fillStyle = "#e94560";
-    const legOff = Math.sin(Date.now() / 100) * 3 * (Math.abs(p.vx) > 0.1 ? 1 : 0);
+    const legOff = Math.sin(Date.now() / 100) * h * 0.06 * (Math.abs(p.vx) > 0.1 ? 1 : 0);
     ctx.fillRect(p.x + w * 0.2, p.y + h * 0.7 + legOff, w * 0.25, h * 0.3);
     ctx.fillRect(p.x + w * 0.55, p.y + h * 0.7 - legOff, w * 0.25, h * 0.3);
 
@@ -145,13 +274,13 @@ export class GameRenderer {
     ctx.save();
     ctx.translate(p.x + w * 0.1, p.y + h * 0.32);
     ctx.rotate(((-20 + armWave) * Math.PI) / 180);
-    ctx.fillRect(-3, 0, 6, h * 0.28);
+    ctx.fillRect(-w * 0.12, 0, w * 0.24, h * 0.28);
     ctx.restore();
 
     ctx.save();
     ctx.translate(p.x + w * 0.9, p.y + h * 0.32);
     ctx.rotate(((20 - armWave) * Math.PI) / 180);
-    ctx.fillRect(-3, 0, 6, h * 0.28);
+    ctx.fillRect(-w * 0.12, 0, w * 0.24, h * 0.28);
     ctx.restore();
 
     ctx.globalAlpha = 1;
@@ -162,33 +291,80 @@ export class GameRenderer {
     game.particles.forEach((p) => {
       ctx.globalAlpha = p.life;
       ctx.fillStyle = p.color;
-      ctx.fillRect(p.x - 4, p.y - 4, 8, 8);
+      const size = this.cell * 0.23;
+      ctx.fillRect(p.x * this.cell - size / 2, p.y * this.cell - size / 2, size, size);
     });
     ctx.globalAlpha = 1;
   }
 
+  /**
+   * Dim the well and show the seconds left while a resume countdown runs
+   * @param {GameEngine} game
+   */
+  drawCountdown(game) {
+    if (game.status !== "countdown") return;
+    const { ctx } = this;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.4)";
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    // Each number shrinks and fades over its second
+    const fraction = game.countdown % 1 || 1;
+    ctx.globalAlpha = 0.4 + 0.6 * fraction;
+    ctx.fillStyle = "#4ecca3";
+    ctx.font = `bold ${Math.round(this.cell * (2 + 2 * fraction))}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(String(Math.ceil(game.countdown)), this.width / 2, this.height / 2);
+    ctx.textBaseline = "alphabetic";
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Banner showing which rewound frame is on screen (only while rewinding)
+   */
+  drawRewind(game) {
+    if (game.rewindCursor === null || game.rewindCursor === undefined) return;
+    const { ctx } = this;
+    const height = this.cell * 1.4;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(0, this.height - height, this.width, height);
+
+    ctx.fillStyle = "#f0a000";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = `bold ${Math.round(this.cell * 0.45)}px monospace`;
+    const frame = `${game.rewindCursor + 1}/${game.rewind.length}`;
+    const label = `⏪ -${game.getRewindSecondsBack().toFixed(2)}s  frame ${frame}`;
+    ctx.fillText(label, this.width / 2, this.height - height * 0.68);
+    ctx.fillStyle = "#aaa";
+    ctx.font = `${Math.round(this.cell * 0.32)}px sans-serif`;
+    ctx.fillText("Tap to step, hold to scrub · resume to play from here", this.width / 2, this.height - height * 0.28);
+    ctx.textBaseline = "alphabetic";
+  }
+
   drawEscapeZone(game) {
-    const { ctx, canvas } = this;
+    const { ctx } = this;
+    const zoneHeight = this.cell * game.constants.ESCAPE_ZONE_ROWS;
     // Semi-transparent green background
     ctx.fillStyle = "rgba(78, 204, 163, 0.15)";
-    ctx.fillRect(0, 0, canvas.width, game.constants.CELL_SIZE * 2);
+    ctx.fillRect(0, 0, this.width, zoneHeight);
 
     // Green dashed line at bottom of zone
     ctx.strokeStyle = "#4ecca3";
     ctx.lineWidth = 2;
     ctx.setLineDash([10, 5]);
     ctx.beginPath();
-    ctx.moveTo(0, game.constants.CELL_SIZE * 2);
-    ctx.lineTo(canvas.width, game.constants.CELL_SIZE * 2);
+    ctx.moveTo(0, zoneHeight);
+    ctx.lineTo(this.width, zoneHeight);
     ctx.stroke();
     ctx.setLineDash([]);
 
     // "ESCAPE ZONE" text with better positioning
     ctx.fillStyle = "#4ecca3";
-    ctx.font = "bold 16px sans-serif";
+    ctx.font = `bold ${Math.round(this.cell * 0.46)}px sans-serif`;
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    ctx.fillText("▲ ESCAPE ZONE ▲", canvas.width / 2, game.constants.CELL_SIZE - 2);
+    ctx.fillText("▲ ESCAPE ZONE ▲", this.width / 2, zoneHeight / 2 - 2);
     ctx.textBaseline = "alphabetic"; // Reset to default
   }
 
@@ -205,10 +381,10 @@ export class GameRenderer {
 
       cells.forEach((c) => {
         ctx.fillRect(
-          c.x * game.constants.CELL_SIZE,
-          c.y * game.constants.CELL_SIZE,
-          game.constants.CELL_SIZE,
-          game.constants.CELL_SIZE
+          c.x * this.cell,
+          c.y * this.cell,
+          this.cell,
+          this.cell
         );
       });
       ctx.restore();
@@ -221,22 +397,23 @@ export class GameRenderer {
 
     const { ctx } = this;
     const target = game.ai.target;
-    const shape = getShape(game.currentPiece.type, target.rotation);
-    const cellSize = game.constants.CELL_SIZE;
+    const shape = game.rotationSystem.getShape(game.currentPiece.type, target.rotation);
+    const cellSize = this.cell;
 
     // Draw path steps (if any) as small dots
     if (game.ai.path && game.ai.path.length > 0) {
       ctx.save();
       ctx.fillStyle = "rgba(0, 255, 255, 0.4)";
+      const dotRadius = cellSize * 0.13;
       for (const step of game.ai.path) {
-        const stepShape = getShape(game.currentPiece.type, step.rotation);
+        const stepShape = game.rotationSystem.getShape(game.currentPiece.type, step.rotation);
         for (let y = 0; y < stepShape.length; y++) {
           for (let x = 0; x < stepShape[y].length; x++) {
             if (stepShape[y][x]) {
               const px = (step.x + x) * cellSize + cellSize / 2;
               const py = (step.y + y) * cellSize + cellSize / 2;
               ctx.beginPath();
-              ctx.arc(px, py, 4, 0, Math.PI * 2);
+              ctx.arc(px, py, dotRadius, 0, Math.PI * 2);
               ctx.fill();
             }
           }
@@ -263,30 +440,81 @@ export class GameRenderer {
     }
     ctx.restore();
 
-    // Draw score and debug info in top-left corner (inside canvas)
-    ctx.save();
-    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
-    ctx.fillRect(5, 35, 120, 72);
+    const prediction = game.predictPlayer();
+    if (prediction) this.drawPrediction(game, prediction);
+
+    // Draw score and debug info in top-left corner (inside canvas), sized with the cells
+    const lines = [
+      `Score: ${game.ai.targetScore?.toFixed(0) ?? "N/A"}`,
+      `Target: (${target.x}, ${target.y})`,
+      `Rot: ${target.rotation}`,
+      `Retargets: ${game.ai.retargetCount}${game.ai.getHunt() ? " (hunting)" : ""}`,
+      `Path: ${game.ai.path?.length ?? 0} steps`,
+    ];
+    if (prediction) {
+      lines.push(`Player → col ${prediction.column} (${prediction.seconds.toFixed(1)}s)`);
+      lines.push(`Reach: cols ${prediction.left}-${prediction.right}`);
+    }
 
-    ctx.fillStyle = "#00ff00";
-    ctx.font = "11px monospace";
+    ctx.save();
+    ctx.font = `${Math.round(cellSize * 0.37)}px monospace`;
     ctx.textAlign = "left";
     ctx.textBaseline = "top";
+    const lineHeight = cellSize * 0.47;
+    const padding = cellSize * 0.17;
+    const top = cellSize * 1.2;
+    const width = Math.max(...lines.map((line) => ctx.measureText(line).width));
 
-    const x = 10;
-    let y = 40;
-    const lineHeight = 14;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(padding, top, width + 2 * padding, lines.length * lineHeight + 2 * padding);
+    ctx.fillStyle = "#00ff00";
+    lines.forEach((line, i) => ctx.fillText(line, 2 * padding, top + padding + i * lineHeight));
 
-    ctx.fillText(`Score: ${game.ai.targetScore?.toFixed(0) ?? "N/A"}`, x, y);
-    y += lineHeight;
-    ctx.fillText(`Target: (${target.x}, ${target.y})`, x, y);
-    y += lineHeight;
-    ctx.fillText(`Rot: ${target.rotation}`, x, y);
-    y += lineHeight;
-    ctx.fillText(`Retargets: ${game.ai.retargetCount}`, x, y);
-    y += lineHeight;
-    ctx.fillText(`Path: ${game.ai.path?.length ?? 0} steps`, x, y);
+    ctx.restore();
+  }
 
+  /**
+   * Draw what the AI expects of the player when the piece lands: the danger zone it keeps
+   * pieces out of (or aims them at, hunting), the columns the player can reach and the predicted position
+   * @param {GameEngine} game
+   * @param {Object} prediction - From game.predictPlayer()
+   */
+  drawPrediction(game, prediction) {
+    const { ctx } = this;
+    const cell = this.cell;
+    const { COLS, PLAYER_WIDTH, PLAYER_HEIGHT } = game.constants;
+    const zone = game.ai.getPlayerZone(prediction);
+    const zoneLeft = Math.max(0, zone.left);
+    const zoneRight = Math.min(COLS, zone.right);
+
+    ctx.save();
+    ctx.fillStyle = game.ai.getHunt() ? "rgba(255, 160, 0, 0.15)" : "rgba(255, 80, 80, 0.1)";
+    ctx.fillRect(zoneLeft * cell, 0, (zoneRight - zoneLeft) * cell, this.height);
+
+    const feet = (prediction.y + PLAYER_HEIGHT) * cell;
+    ctx.fillStyle = "rgba(0, 255, 255, 0.6)";
+    ctx.fillRect(prediction.left * cell, feet - 2, (prediction.right + 1 - prediction.left) * cell, 3);
+
+    ctx.strokeStyle = "rgba(255, 0, 255, 0.9)";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(prediction.x * cell, prediction.y * cell, PLAYER_WIDTH * cell, PLAYER_HEIGHT * cell);
     ctx.restore();
   }
 }
+
+/**
+ * Size a canvas's backing store for the screen and draw in CSS pixels
+ * @param {HTMLCanvasElement} canvas
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width - CSS pixels
+ * @param {number} height - CSS pixels
+ * @param {number} dpr - Device pixels per CSS pixel
+ */
+function scaleCanvas(canvas, ctx, width, height, dpr) {
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
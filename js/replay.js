@@ -0,0 +1,286 @@
+/**
+ * Replay Recording and Playback
+ *
+ * A replay is the seed and settings a game started with plus every update()
+ * call it received (dt and the held actions) and every sabotage or settings
+ * change in between. Because all randomness comes from the seeded RNG, feeding
+ * the same frames back into a fresh engine reproduces the exact game. Games
+ * continued from a dump (a loaded save or a rewound frame) also carry that
+ * dump as `state`, and playback starts from it instead of the seed.
+ *
+ * Frames are stored run-length encoded as [dt, actionMask] or [dt, actionMask, count],
+ * where bit i of actionMask is set when actions[i] was held. Events are stored as
+ * [frameIndex, type, value?] and are applied right before that frame's update.
+ * Besides the player's actions they mark where the engine took in the AI's
+ * search results ("aiResult"), which depends on how fast the AI worker was.
+ */
+
+import { HELD_ACTIONS } from './bindings.js';
+
+export const REPLAY_FORMAT = "tescape-replay";
+export const REPLAY_VERSION = 1;
+
+// Actions the engine reads from input state; order defines the bits of actionMask
+export const REPLAY_ACTIONS = [...HELD_ACTIONS];
+
+// Settings events and the header setting each one changes
+const SETTING_EVENTS = {
+  difficulty: "difficulty",
+  speed: "speed",
+  rotation: "rotationSystem",
+  personality: "personality",
+};
+
+/**
+ * Settings a replay plays with at a frame: the header's, changed by the settings events up to it
+ * A game whose settings were picked right after it started keeps its defaults in the header and the
+ * picked ones in frame 0 events, so the header alone can be wrong even before the first frame.
+ * @param {Object} replay - Replay object as produced by ReplayRecorder.toJSON()
+ * @param {number} [frame] - Frame index (default: after the last frame)
+ * @returns {{difficulty: string, speed: number, rotationSystem: string, boardSize: string, personality: string}}
+ */
+export function getReplaySettings(replay, frame = Infinity) {
+  const settings = {
+    difficulty: replay.settings.difficulty,
+    speed: replay.settings.speed,
+    rotationSystem: replay.settings.rotationSystem || "classic",
+    boardSize: replay.settings.boardSize || "standard",
+    personality: replay.settings.personality || "cautious",
+  };
+  for (const [eventFrame, type, value] of replay.events || []) {
+    if (eventFrame <= frame && type in SETTING_EVENTS) settings[SETTING_EVENTS[type]] = value;
+  }
+  return settings;
+}
+
+/**
+ * Summarize how a game ended (or where it stands) for replay verification
+ * A player killed by a line clear counts as game over even while the delayed
+ * gameOver() call is still pending.
+ * @param {GameEngine} engine
+ * @returns {{result: string, cause: string|null, time: number, lines: number, pieces: number}}
+ */
+export function describeOutcome(engine) {
+  let result = "playing";
+  if (engine.status === "win") result = "win";
+  else if (engine.status === "gameover" || (engine.player && engine.player.dead)) result = "gameover";
+
+  return {
+    result,
+    cause: engine.deathCause ? engine.deathCause.type : null,
+    time: engine.stats.time,
+    lines: engine.stats.linesCleared,
+    pieces: engine.stats.pieceCount,
+  };
+}
+
+/**
+ * Compare a recorded outcome against a replayed one
+ * @param {Object} expected - Outcome stored in the replay
+ * @param {Object} actual - Outcome of the re-simulation
+ * @returns {Array<string>} Human-readable differences (empty when they match)
+ */
+export function compareOutcomes(expected, actual) {
+  const diffs = [];
+  // Replays recorded before death causes existed have no cause to compare
+  const keys = "cause" in expected ? ["result", "cause", "lines", "pieces"] : ["result", "lines", "pieces"];
+  for (const key of keys) {
+    if (expected[key] !== actual[key]) diffs.push(`${key}: recorded ${expected[key]}, replayed ${actual[key]}`);
+  }
+  if (Math.abs(expected.time - actual.time) > 1e-6) {
+    diffs.push(`time: recorded ${expected.time.toFixed(3)}s, replayed ${actual.time.toFixed(3)}s`);
+  }
+  return diffs;
+}
+
+export class ReplayRecorder {
+  /**
+   * Capture the starting conditions of a game; call right after it starts
+   * @param {GameEngine} engine
+   * @param {Object|null} [state] - Dump the game was continued from (null when it started from the seed)
+   */
+  constructor(engine, state = null) {
+    this.engine = engine;
+    this.header = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: engine.seed,
+      settings: {
+        difficulty: engine.settings.difficulty,
+        speed: engine.settings.speed,
+        rotationSystem: engine.settings.rotationSystem,
+        boardSize: engine.settings.boardSize,
+        personality: engine.settings.personality,
+      },
+      // Factory overrides cannot be serialized; only named strategies are replayable
+      randomizer: typeof engine.randomizerOverride === "string" ? engine.randomizerOverride : null,
+      board: { width: engine.width, height: engine.height },
+      actions: [...REPLAY_ACTIONS],
+      state,
+    };
+    this.frames = [];
+    this.frameCount = 0;
+    this.events = [];
+    this.outcome = null;
+  }
+
+  get finished() {
+    return this.outcome !== null;
+  }
+
+  /**
+   * Record one update() call
+   * @param {number} dt - Delta time passed to update()
+   * @param {Object} actions - Map of action -> held
+   */
+  recordFrame(dt, actions) {
+    if (this.finished) return;
+
+    let mask = 0;
+    for (let i = 0; i < REPLAY_ACTIONS.length; i++) {
+      if (actions[REPLAY_ACTIONS[i]]) mask |= 1 << i;
+    }
+
+    const last = this.frames[this.frames.length - 1];
+    if (last && last[0] === dt && last[1] === mask) {
+      last[2] = (last[2] || 1) + 1;
+    } else {
+      this.frames.push([dt, mask]);
+    }
+    this.frameCount++;
+  }
+
+  /**
+   * Record an action taken between frames
+   * @param {string} type - "sabotage", "aiResult", "difficulty", "speed", "rotation" or "personality"
+   * @param {*} [value] - New setting value
+   */
+  recordEvent(type, value) {
+    if (this.finished) return;
+    this.events.push(value === undefined ? [this.frameCount, type] : [this.frameCount, type, value]);
+  }
+
+  /**
+   * Stop recording and store the final outcome
+   * @param {string} [reason] - Game over reason, kept for the reader
+   */
+  finish(reason) {
+    if (this.finished) return;
+    this.outcome = { ...describeOutcome(this.engine), reason: reason || null };
+  }
+
+  /**
+   * Serializable replay; unfinished games get their outcome so far
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      ...this.header,
+      frameCount: this.frameCount,
+      frames: this.frames.map((frame) => [...frame]),
+      events: this.events.map((event) => [...event]),
+      outcome: this.outcome || { ...describeOutcome(this.engine), reason: null },
+    };
+  }
+}
+
+export class ReplayPlayer {
+  /**
+   * @param {GameEngine} engine - Engine to drive; its current game is replaced
+   * @param {Object} replay - Replay object as produced by ReplayRecorder.toJSON()
+   */
+  constructor(engine, replay) {
+    if (!replay || replay.format !== REPLAY_FORMAT) throw new Error("Not a Tetromino Escape replay");
+    if (replay.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${replay.version}`);
+    if (!Array.isArray(replay.frames) || !Array.isArray(replay.actions)) throw new Error("Replay has no frames");
+
+    this.engine = engine;
+    this.replay = replay;
+    this.events = Array.isArray(replay.events) ? replay.events : [];
+    this.frameCount = replay.frameCount ?? replay.frames.reduce((n, frame) => n + (frame[2] || 1), 0);
+  }
+
+  /**
+   * Apply the recorded settings and start the game from the recorded seed, or load the recorded state
+   */
+  start() {
+    const { engine, replay } = this;
+    // An unfinished game is abandoned so the board size can change, and the previous game's
+    // recording stops here so the settings below do not end up in it
+    engine.abandon();
+    engine.replay = null;
+    engine.randomizerOverride = replay.randomizer ?? null;
+    if (replay.state) {
+      if (!engine.loadState(replay.state)) throw new Error("Replay starts from an invalid state");
+    } else {
+      engine.selectDifficulty(replay.settings.difficulty);
+      engine.selectSpeed(replay.settings.speed);
+      engine.selectRotationSystem(replay.settings.rotationSystem || "classic");
+      engine.selectBoardSize(replay.settings.boardSize || "standard");
+      engine.selectPersonality(replay.settings.personality || "cautious");
+      engine.start(replay.seed);
+    }
+    if (replay.board && (replay.board.width !== engine.width || replay.board.height !== engine.height)) {
+      throw new Error(
+        `Replay was recorded on a ${replay.board.width}x${replay.board.height} board, ` +
+          `engine is ${engine.width}x${engine.height}`
+      );
+    }
+
+    this.frameIndex = 0;
+    this.runIndex = 0;
+    this.runOffset = 0;
+    this.eventIndex = 0;
+  }
+
+  get done() {
+    return this.frameIndex >= this.frameCount;
+  }
+
+  /**
+   * Feed the next recorded frame into the engine
+   * @returns {boolean} False once every frame has been played
+   */
+  step() {
+    if (this.done) return false;
+
+    while (this.eventIndex < this.events.length && this.events[this.eventIndex][0] <= this.frameIndex) {
+      this.applyEvent(this.events[this.eventIndex]);
+      this.eventIndex++;
+    }
+
+    const [dt, mask, count = 1] = this.replay.frames[this.runIndex];
+    const actions = {};
+    this.replay.actions.forEach((action, i) => {
+      if (mask & (1 << i)) actions[action] = true;
+    });
+    this.engine.update(dt, { actions, replayed: true });
+
+    this.frameIndex++;
+    this.runOffset++;
+    if (this.runOffset >= count) {
+      this.runIndex++;
+      this.runOffset = 0;
+    }
+    return true;
+  }
+
+  applyEvent([, type, value]) {
+    if (type === "sabotage") this.engine.triggerSabotage();
+    else if (type === "difficulty") this.engine.selectDifficulty(value);
+    else if (type === "speed") this.engine.selectSpeed(value);
+    else if (type === "rotation") this.engine.selectRotationSystem(value);
+    else if (type === "personality") this.engine.selectPersonality(value);
+    else if (type === "aiResult") this.engine.collectAIResult(true);
+    else console.error(`Unknown replay event "${type}"`);
+  }
+
+  /**
+   * Play every remaining frame synchronously (headless verification)
+   * @returns {Object} Outcome of the re-simulation, see describeOutcome()
+   */
+  run() {
+    while (this.step());
+    return describeOutcome(this.engine);
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Rewind Buffer
+ *
+ * Keeps the last frames of a game as full engine snapshots (GameEngine.dumpState())
+ * in a fixed-size ring, oldest first. The engine fills it from update() when
+ * created with `rewind: true`; GameEngine.stepRewind()/seekRewind() move back
+ * and forth through it, and resuming branches play from the selected frame.
+ */
+
+export class RewindBuffer {
+  /**
+   * @param {number} capacity - Snapshots kept; the oldest is dropped when full
+   */
+  constructor(capacity) {
+    if (!(capacity >= 1)) throw new Error(`Rewind capacity must be at least 1 (got ${capacity})`);
+    this.capacity = Math.floor(capacity);
+    this.slots = new Array(this.capacity);
+    // Slot of the oldest snapshot and number of snapshots held
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Add the newest snapshot
+   * @param {Object} snapshot - From GameEngine.dumpState(); kept as is, so never modify it
+   */
+  push(snapshot) {
+    this.slots[(this.start + this.length) % this.capacity] = snapshot;
+    if (this.length < this.capacity) this.length++;
+    else this.start = (this.start + 1) % this.capacity;
+  }
+
+  /**
+   * Drop the oldest snapshot (no-op when empty)
+   */
+  shift() {
+    if (this.length === 0) return;
+    this.slots[this.start] = undefined;
+    this.start = (this.start + 1) % this.capacity;
+    this.length--;
+  }
+
+  /**
+   * @param {number} index - 0 is the oldest snapshot, length - 1 the newest
+   * @returns {Object|null}
+   */
+  get(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.length) return null;
+    return this.slots[(this.start + index) % this.capacity];
+  }
+
+  /**
+   * Drop every snapshot after an index (the future of a branch point)
+   * @param {number} index - Index of the snapshot to keep as the newest
+   */
+  truncate(index) {
+    const keep = Math.max(0, Math.min(this.length, index + 1));
+    for (let i = keep; i < this.length; i++) this.slots[(this.start + i) % this.capacity] = undefined;
+    this.length = keep;
+  }
+
+  clear() {
+    this.slots = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ *
+ * Every source of randomness in the game (piece selection, sabotage erratic
+ * movement, particles) draws from one of these so that a game can be
+ * reproduced exactly from its seed.
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit integer seed
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Generate a fresh seed for games that were not given one explicitly
+   * @returns {number} 32-bit unsigned integer seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1), drop-in replacement for Math.random()
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Next integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number}
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Capture generator position so it can be restored with setState()
+   * @returns {{seed: number, state: number}}
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Restore generator position captured with getState()
+   * @param {{seed: number, state: number}} saved
+   */
+  setState(saved) {
+    this.seed = saved.seed >>> 0;
+    this.state = (saved.state ?? saved.seed) >>> 0;
+  }
+}
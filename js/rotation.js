@@ -0,0 +1,246 @@
+import { TETROMINOES } from './constants.js';
+
+/**
+ * Rotation Systems
+ *
+ * Pieces are always stored as a trimmed shape plus the grid position of its
+ * top-left cell. A rotation system decides which shapes a piece has and where
+ * the trimmed shape ends up after a rotation.
+ *
+ * - classic: the original behavior. Shapes from TETROMINOES are swapped in place,
+ *   anchored at the top-left, clockwise only and without kicks.
+ * - srs: Super Rotation System. Four states per piece rotating about the true
+ *   center of their bounding box, both directions, with the standard wall kick tables.
+ */
+
+export class ClassicRotation {
+  constructor() {
+    this.name = "classic";
+    // Rotation directions the AI search may use (1 = clockwise, -1 = counter-clockwise)
+    this.directions = [1];
+    // Shapes swap in place, so the AI also requires the swept area to be clear
+    // to avoid pieces teleporting through blocks
+    this.sweepCheck = true;
+    this.kicks = false;
+  }
+
+  getShapes(type) {
+    return TETROMINOES[type].shapes;
+  }
+
+  getShape(type, rotation) {
+    const shapes = this.getShapes(type);
+    return shapes[rotation % shapes.length];
+  }
+
+  /**
+   * Rotate one step
+   * @param {Object} piece - {type, x, y, rotation}
+   * @param {number} direction - 1 for clockwise, -1 for counter-clockwise
+   * @param {Function} fits - (x, y, shape) => boolean placement check
+   * @returns {{x: number, y: number, rotation: number, shape: Array}|null} New state or null if blocked
+   */
+  rotate(piece, direction, fits) {
+    const count = this.getShapes(piece.type).length;
+    const rotation = (((piece.rotation + direction) % count) + count) % count;
+    return this.tryState(piece, rotation, fits);
+  }
+
+  /**
+   * Rotate toward a target rotation (used when following an AI path)
+   * Classic rotation swaps straight to the target shape.
+   * @param {Object} piece - {type, x, y, rotation}
+   * @param {number} targetRotation - Desired rotation index
+   * @param {Function} fits - (x, y, shape) => boolean placement check
+   * @returns {{x: number, y: number, rotation: number, shape: Array}|null}
+   */
+  rotateToward(piece, targetRotation, fits) {
+    return this.tryState(piece, targetRotation, fits);
+  }
+
+  tryState(piece, rotation, fits) {
+    const shape = this.getShape(piece.type, rotation);
+    return fits(piece.x, piece.y, shape) ? { x: piece.x, y: piece.y, rotation, shape } : null;
+  }
+}
+
+// Spawn orientation of each piece inside its SRS bounding box
+const SRS_SPAWN_BOXES = {
+  I: [
+    [0, 0, 0, 0],
+    [1, 1, 1, 1],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+  ],
+  J: [
+    [1, 0, 0],
+    [1, 1, 1],
+    [0, 0, 0],
+  ],
+  L: [
+    [0, 0, 1],
+    [1, 1, 1],
+    [0, 0, 0],
+  ],
+  S: [
+    [0, 1, 1],
+    [1, 1, 0],
+    [0, 0, 0],
+  ],
+  Z: [
+    [1, 1, 0],
+    [0, 1, 1],
+    [0, 0, 0],
+  ],
+  T: [
+    [0, 1, 0],
+    [1, 1, 1],
+    [0, 0, 0],
+  ],
+};
+
+// Wall kick offsets as [dx, dy] with +y pointing UP (as in the SRS guideline),
+// keyed by "from>to" state (0 = spawn, 1 = R, 2 = 180, 3 = L)
+const SRS_KICKS_JLSTZ = {
+  "0>1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  "1>0": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  "1>2": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  "2>1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  "2>3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  "3>2": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  "3>0": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  "0>3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+};
+
+const SRS_KICKS_I = {
+  "0>1": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  "1>0": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  "1>2": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  "2>1": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  "2>3": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  "3>2": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  "3>0": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  "0>3": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+};
+
+/**
+ * Rotate a square matrix 90 degrees clockwise
+ * @param {Array<Array<number>>} box
+ * @returns {Array<Array<number>>}
+ */
+function rotateBoxClockwise(box) {
+  const n = box.length;
+  return box.map((row, y) => row.map((_, x) => box[n - 1 - x][y]));
+}
+
+/**
+ * Trim empty rows/columns from a bounding box state
+ * @param {Array<Array<number>>} box
+ * @returns {{shape: Array<Array<number>>, offsetX: number, offsetY: number}} Trimmed shape and its offset inside the box
+ */
+function trimBox(box) {
+  const rows = box.map((row, y) => (row.some((c) => c) ? y : -1)).filter((y) => y >= 0);
+  const cols = box[0].map((_, x) => (box.some((row) => row[x]) ? x : -1)).filter((x) => x >= 0);
+  const top = rows[0];
+  const left = cols[0];
+  const shape = box.slice(top, rows[rows.length - 1] + 1).map((row) => row.slice(left, cols[cols.length - 1] + 1));
+  return { shape, offsetX: left, offsetY: top };
+}
+
+export class SuperRotation {
+  constructor() {
+    this.name = "srs";
+    this.directions = [1, -1];
+    this.sweepCheck = false;
+    this.kicks = true;
+
+    // Precompute trimmed shapes and their offsets inside the bounding box for every state
+    this.states = {};
+    for (const type of Object.keys(TETROMINOES)) {
+      if (!SRS_SPAWN_BOXES[type]) {
+        // O piece: a single state, rotation never moves it
+        this.states[type] = [{ shape: TETROMINOES[type].shapes[0], offsetX: 0, offsetY: 0 }];
+        continue;
+      }
+      const states = [];
+      let box = SRS_SPAWN_BOXES[type];
+      for (let r = 0; r < 4; r++) {
+        states.push(trimBox(box));
+        box = rotateBoxClockwise(box);
+      }
+      this.states[type] = states;
+    }
+    this.shapes = {};
+    for (const [type, states] of Object.entries(this.states)) {
+      this.shapes[type] = states.map((s) => s.shape);
+    }
+  }
+
+  getShapes(type) {
+    return this.shapes[type];
+  }
+
+  getShape(type, rotation) {
+    const shapes = this.getShapes(type);
+    return shapes[rotation % shapes.length];
+  }
+
+  /**
+   * Rotate one step, trying each wall kick in order
+   * @param {Object} piece - {type, x, y, rotation}
+   * @param {number} direction - 1 for clockwise, -1 for counter-clockwise
+   * @param {Function} fits - (x, y, shape) => boolean placement check
+   * @returns {{x: number, y: number, rotation: number, shape: Array}|null} New state or null if every kick is blocked
+   */
+  rotate(piece, direction, fits) {
+    const states = this.states[piece.type];
+    if (states.length === 1) return null;
+
+    const from = piece.rotation % 4;
+    const to = (from + direction + 4) % 4;
+    const kicks = (piece.type === "I" ? SRS_KICKS_I : SRS_KICKS_JLSTZ)[`${from}>${to}`];
+
+    // Top-left of the bounding box stays fixed; the trimmed shape moves inside it
+    const boxX = piece.x - states[from].offsetX;
+    const boxY = piece.y - states[from].offsetY;
+    const shape = states[to].shape;
+
+    for (const [kx, ky] of kicks) {
+      const x = boxX + states[to].offsetX + kx;
+      const y = boxY + states[to].offsetY - ky;
+      if (fits(x, y, shape)) return { x, y, rotation: to, shape };
+    }
+    return null;
+  }
+
+  /**
+   * Rotate one step toward a target rotation, taking the shorter direction
+   * @param {Object} piece - {type, x, y, rotation}
+   * @param {number} targetRotation - Desired rotation index
+   * @param {Function} fits - (x, y, shape) => boolean placement check
+   * @returns {{x: number, y: number, rotation: number, shape: Array}|null}
+   */
+  rotateToward(piece, targetRotation, fits) {
+    const diff = (targetRotation - piece.rotation + 4) % 4;
+    if (diff === 0) return null;
+    return this.rotate(piece, diff === 3 ? -1 : 1, fits);
+  }
+}
+
+export const ROTATION_SYSTEMS = {
+  classic: new ClassicRotation(),
+  srs: new SuperRotation(),
+};
+
+/**
+ * Look up a rotation system by name
+ * @param {string} name - Key of ROTATION_SYSTEMS
+ * @returns {ClassicRotation|SuperRotation}
+ */
+export function getRotationSystem(name) {
+  const system = ROTATION_SYSTEMS[name || "classic"];
+  if (!system) {
+    throw new Error(`Unknown rotation system "${name}" (expected one of: ${Object.keys(ROTATION_SYSTEMS).join(", ")})`);
+  }
+  return system;
+}
@@ -0,0 +1,372 @@
+/**
+ * Saved Games
+ *
+ * GameEngine.dumpState() captures everything needed to continue a game exactly
+ * where it stopped (grid, pieces, player, AI plan, timers, particles and the
+ * RNG position); loadState() restores it. This module owns that format: it
+ * upgrades older dumps, checks a dump before the engine touches it, and keeps
+ * the player's unfinished game in localStorage for the Continue button.
+ *
+ * Version 1 was the debug dump (F9) of the original game. It lacked the seed,
+ * the piece queue, the spawn and sabotage flags, the AI's plan and the
+ * particles, and held the player in pixels.
+ */
+
+import { TETROMINOES, DIFFICULTY_SETTINGS, BOARD_SIZES, AI_PERSONALITIES } from './constants.js';
+import { ROTATION_SYSTEMS } from './rotation.js';
+import { RANDOMIZERS } from './randomizer.js';
+import { ROWS_ABOVE } from './search.js';
+
+export const SAVE_FORMAT = "tescape-save";
+export const SAVE_VERSION = 2;
+
+const STORAGE_KEY = "tescape.save";
+// Pixels per cell of the original game (version 1 dumps)
+const LEGACY_CELL_SIZE = 35;
+const AI_STATES = ["targeting", "erratic"];
+// Problems listed in an error message before the rest are summarized
+const MAX_REPORTED_PROBLEMS = 5;
+
+/**
+ * Upgrade a dump to the current version
+ * @param {Object} state - Parsed dump of any supported version
+ * @returns {Object} Dump in the current format (the input is not modified)
+ * @throws {Error} When the dump is not a save or its version is unknown
+ */
+export function migrateState(state) {
+  if (!isObject(state)) throw new Error("Invalid save: expected a JSON object");
+  if (state.version === 1) return migrateV1(state);
+  if (state.version === SAVE_VERSION) {
+    if (state.format !== SAVE_FORMAT) throw new Error(`Invalid save: format must be "${SAVE_FORMAT}"`);
+    return state;
+  }
+  throw new Error(`Unsupported save version ${state.version} (expected 1 or ${SAVE_VERSION})`);
+}
+
+/**
+ * Fill in what version 1 dumps did not record
+ * The original game had one board, one rotation system, the uniform randomizer and no seed, so
+ * the piece queue restarts from the current generator and the AI searches afresh.
+ * @param {Object} state - Version 1 dump
+ * @returns {Object} Current-version dump
+ */
+function migrateV1(state) {
+  const settings = isObject(state.settings) ? state.settings : {};
+  const player = isObject(state.player)
+    ? {
+        ...state.player,
+        x: state.player.x / LEGACY_CELL_SIZE,
+        y: state.player.y / LEGACY_CELL_SIZE,
+        vx: state.player.vx / LEGACY_CELL_SIZE,
+        vy: state.player.vy / LEGACY_CELL_SIZE,
+        runSpeed: 0,
+      }
+    : null;
+  const currentPiece = isObject(state.currentPiece) ? { fallStepCount: 0, ...state.currentPiece } : null;
+  const ai = isObject(state.ai) ? state.ai : {};
+
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    seed: null,
+    rng: null,
+    randomizer: { strategy: null, state: null },
+    settings: {
+      difficulty: settings.difficulty,
+      speed: settings.speed,
+      rotationSystem: "classic",
+      boardSize: "standard",
+      personality: "cautious",
+    },
+    grid: state.grid,
+    player,
+    currentPiece,
+    nextPieces: [],
+    hold: { piece: null, used: false },
+    // Without a piece the engine must be waiting for the next spawn, or it would never come
+    waitingForPiece: !currentPiece,
+    sabotageQueued: false,
+    ai: {
+      state: "targeting",
+      target: ai.target ?? null,
+      targetScore: ai.targetScore ?? null,
+      path: [],
+      erraticDir: 1,
+      moveCount: 0,
+      retargetCount: ai.retargetCount ?? 0,
+      lastTargetKey: null,
+      lastPlayerGridX: ai.lastPlayerGridX ?? null,
+      pending: null,
+    },
+    stats: { holds: 0, recentLines: [], ...state.stats },
+    timers: {
+      pieceFall: 0,
+      aiMove: 0,
+      physics: 0,
+      spawn: 0,
+      sabotage: 0,
+      sabotageCooldown: 0,
+      playerLineClear: 0,
+      ...state.timers,
+    },
+    particles: [],
+  };
+}
+
+/**
+ * Check a current-version dump against the save schema
+ * @param {Object} state - Dump from migrateState()
+ * @returns {Array<string>} Problems found, each naming the field (empty when valid)
+ */
+export function validateState(state) {
+  const problems = [];
+  const expect = (ok, path, what) => {
+    if (!ok) problems.push(`${path} must be ${what}`);
+    return ok;
+  };
+  const number = (value, path) => expect(isNumber(value), path, "a number");
+  const boolean = (value, path) => expect(typeof value === "boolean", path, "true or false");
+  const object = (value, path) => expect(isObject(value), path, "an object");
+  const array = (value, path) => expect(Array.isArray(value), path, "an array");
+  const oneOf = (value, options, path) => {
+    const ok = typeof value === "string" && Object.hasOwn(options, value);
+    return expect(ok, path, `one of ${Object.keys(options).join(", ")}`);
+  };
+  const pieceType = (value, path) => oneOf(value, TETROMINOES, path);
+  // A piece position must keep the piece's shape in the well, above it only as far as the AI's
+  // search reaches, in one of the rotations the save's rotation system gives the piece
+  let board = null;
+  let rotationSystem = null;
+  const position = (value, path, type) => {
+    if (!object(value, path)) return;
+    let integers = true;
+    for (const key of ["x", "y", "rotation"]) {
+      integers = expect(Number.isInteger(value[key]), `${path}.${key}`, "an integer") && integers;
+    }
+    if (!integers || !board || !rotationSystem) return;
+
+    // Of a piece of unknown type, only the top-left cell and the most rotations any piece has are known
+    const known = Object.hasOwn(TETROMINOES, type);
+    const count = known ? rotationSystem.getShapes(type).length : 4;
+    const what = `0 to ${count - 1}${known ? ` (${type} in ${rotationSystem.name} rotation)` : ""}`;
+    if (!expect(value.rotation >= 0 && value.rotation < count, `${path}.rotation`, what)) return;
+    const shape = known ? rotationSystem.getShape(type, value.rotation) : [[1]];
+    expect(
+      value.x >= 0 &&
+        value.x + shape[0].length <= board.cols &&
+        value.y >= -ROWS_ABOVE &&
+        value.y + shape.length <= board.rows,
+      path,
+      `a position of the ${known ? `${type} ` : ""}piece inside the ${board.cols}x${board.rows} well`
+    );
+  };
+
+  expect(state.seed === null || isNumber(state.seed), "seed", "a number or null");
+  if (state.rng !== null && object(state.rng, "rng")) {
+    number(state.rng.seed, "rng.seed");
+    number(state.rng.state, "rng.state");
+  }
+  if (object(state.randomizer, "randomizer") && state.randomizer.strategy !== null) {
+    oneOf(state.randomizer.strategy, RANDOMIZERS, "randomizer.strategy");
+  }
+
+  if (object(state.settings, "settings")) {
+    const { settings } = state;
+    oneOf(settings.difficulty, DIFFICULTY_SETTINGS, "settings.difficulty");
+    expect(isNumber(settings.speed) && settings.speed > 0, "settings.speed", "a positive number");
+    if (oneOf(settings.rotationSystem, ROTATION_SYSTEMS, "settings.rotationSystem")) {
+      rotationSystem = ROTATION_SYSTEMS[settings.rotationSystem];
+    }
+    if (oneOf(settings.boardSize, BOARD_SIZES, "settings.boardSize")) board = BOARD_SIZES[settings.boardSize];
+    oneOf(settings.personality, AI_PERSONALITIES, "settings.personality");
+  }
+
+  if (array(state.grid, "grid") && board) {
+    expect(state.grid.length === board.rows, "grid", `${board.rows} rows for the ${state.settings.boardSize} board`);
+    state.grid.forEach((row, y) => {
+      if (!expect(Array.isArray(row) && row.length === board.cols, `grid[${y}]`, `a row of ${board.cols} cells`)) {
+        return;
+      }
+      row.forEach((cell, x) => {
+        expect(cell === null || typeof cell === "string", `grid[${y}][${x}]`, "null or a color");
+      });
+    });
+  }
+
+  if (state.player !== null && object(state.player, "player")) {
+    for (const key of ["x", "y", "vx", "vy", "runSpeed"]) number(state.player[key], `player.${key}`);
+    boolean(state.player.onGround, "player.onGround");
+    boolean(state.player.facingRight, "player.facingRight");
+    if (board && isNumber(state.player.x) && isNumber(state.player.y)) {
+      expect(
+        state.player.x >= 0 && state.player.x <= board.cols && state.player.y >= 0 && state.player.y <= board.rows,
+        "player",
+        `inside the ${board.cols}x${board.rows} well (in cells)`
+      );
+    }
+  }
+
+  if (state.currentPiece !== null && object(state.currentPiece, "currentPiece")) {
+    pieceType(state.currentPiece.type, "currentPiece.type");
+    position(state.currentPiece, "currentPiece", state.currentPiece.type);
+    number(state.currentPiece.fallStepCount, "currentPiece.fallStepCount");
+  }
+
+  if (array(state.nextPieces, "nextPieces")) {
+    state.nextPieces.forEach((type, i) => pieceType(type, `nextPieces[${i}]`));
+  }
+  if (object(state.hold, "hold")) {
+    if (state.hold.piece !== null) pieceType(state.hold.piece, "hold.piece");
+    boolean(state.hold.used, "hold.used");
+  }
+  boolean(state.waitingForPiece, "waitingForPiece");
+  boolean(state.sabotageQueued, "sabotageQueued");
+
+  if (object(state.ai, "ai")) {
+    const { ai } = state;
+    expect(AI_STATES.includes(ai.state), "ai.state", `one of ${AI_STATES.join(", ")}`);
+    // The target and path belong to the current piece
+    const targetType = state.currentPiece?.type;
+    if (ai.target !== null) position(ai.target, "ai.target", targetType);
+    expect(ai.targetScore === null || isNumber(ai.targetScore), "ai.targetScore", "a number or null");
+    if (array(ai.path, "ai.path")) ai.path.forEach((step, i) => position(step, `ai.path[${i}]`, targetType));
+    for (const key of ["erraticDir", "moveCount", "retargetCount"]) number(ai[key], `ai.${key}`);
+    expect(ai.lastTargetKey === null || typeof ai.lastTargetKey === "string", "ai.lastTargetKey", "a string or null");
+    expect(ai.lastPlayerGridX === null || isNumber(ai.lastPlayerGridX), "ai.lastPlayerGridX", "a number or null");
+    if (ai.pending !== null && object(ai.pending, "ai.pending")) {
+      const { pending } = ai;
+      if (object(pending.piece, "ai.pending.piece")) {
+        pieceType(pending.piece.type, "ai.pending.piece.type");
+        position(pending.piece, "ai.pending.piece", pending.piece.type);
+      }
+      if (pending.alt !== null && object(pending.alt, "ai.pending.alt")) {
+        pieceType(pending.alt.type, "ai.pending.alt.type");
+        position(pending.alt, "ai.pending.alt", pending.alt.type);
+      }
+      if (pending.player !== null && object(pending.player, "ai.pending.player")) {
+        number(pending.player.x, "ai.pending.player.x");
+        number(pending.player.y, "ai.pending.player.y");
+      }
+      if (pending.prediction !== null && object(pending.prediction, "ai.pending.prediction")) {
+        const { prediction } = pending;
+        for (const key of ["x", "y", "column", "left", "right", "seconds"]) {
+          number(prediction[key], `ai.pending.prediction.${key}`);
+        }
+        expect(
+          prediction.landsIn === null || isNumber(prediction.landsIn),
+          "ai.pending.prediction.landsIn",
+          "a number or null"
+        );
+      }
+      expect(
+        pending.playerGridX === null || isNumber(pending.playerGridX),
+        "ai.pending.playerGridX",
+        "a number or null"
+      );
+      number(pending.retargetCount, "ai.pending.retargetCount");
+      boolean(pending.avoidPlayer, "ai.pending.avoidPlayer");
+      boolean(pending.playerTriggered, "ai.pending.playerTriggered");
+    }
+  }
+
+  if (object(state.stats, "stats")) {
+    for (const key of ["time", "linesCleared", "pieceCount", "holds"]) number(state.stats[key], `stats.${key}`);
+    array(state.stats.recentLines, "stats.recentLines");
+  }
+  if (object(state.timers, "timers")) {
+    for (const [key, value] of Object.entries(state.timers)) number(value, `timers.${key}`);
+  }
+  if (array(state.particles, "particles")) {
+    state.particles.forEach((p, i) => {
+      if (!object(p, `particles[${i}]`)) return;
+      for (const key of ["x", "y", "vx", "vy", "life"]) number(p[key], `particles[${i}].${key}`);
+      expect(typeof p.color === "string", `particles[${i}].color`, "a color");
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Upgrade and validate a dump, ready for GameEngine.loadState()
+ * @param {Object} state - Parsed dump of any supported version
+ * @returns {Object} Valid current-version dump
+ * @throws {Error} Listing what is wrong with the dump
+ */
+export function readState(state) {
+  const migrated = migrateState(state);
+  const problems = validateState(migrated);
+  if (problems.length > 0) {
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS).join("; ");
+    const hidden = problems.length - MAX_REPORTED_PROBLEMS;
+    const more = hidden > 0 ? ` (and ${hidden} more)` : "";
+    throw new Error(`Invalid save: ${shown}${more}`);
+  }
+  return migrated;
+}
+
+/**
+ * The player's unfinished game, kept in localStorage between sessions
+ */
+export class SaveStore {
+  /**
+   * @param {Storage|null} [storage] - Where the save persists (default: localStorage when available)
+   */
+  constructor(storage = typeof localStorage !== "undefined" ? localStorage : null) {
+    this.storage = storage;
+  }
+
+  /**
+   * @param {Object} state - From GameEngine.dumpState()
+   */
+  save(state) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+      console.error("Could not save the game:", e.message);
+    }
+  }
+
+  /**
+   * @returns {Object|null} The saved dump as stored (not yet migrated or validated)
+   */
+  load() {
+    if (!this.storage) return null;
+    try {
+      return JSON.parse(this.storage.getItem(STORAGE_KEY));
+    } catch (e) {
+      console.error("Ignoring unreadable saved game:", e.message);
+      return null;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether a game is saved
+   */
+  has() {
+    if (!this.storage) return false;
+    try {
+      return this.storage.getItem(STORAGE_KEY) !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  clear() {
+    if (!this.storage) return;
+    try {
+      this.storage.removeItem(STORAGE_KEY);
+    } catch (e) {
+      console.error("Could not delete the saved game:", e.message);
+    }
+  }
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -0,0 +1,59 @@
+/**
+ * Engine Scheduler
+ *
+ * Runs delayed engine actions on game time instead of wall-clock timers. The
+ * engine advances it from update() with the speed-scaled dt, so delays stop
+ * while the game is paused, follow settings.speed, and happen on exactly the
+ * same frame when a replay or the headless simulator re-drives the game.
+ */
+
+export class Scheduler {
+  constructor() {
+    // Seconds of scaled game time advanced so far
+    this.time = 0;
+    // Pending tasks sorted by due time; equal times keep scheduling order
+    this.tasks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Run a callback once after a delay
+   * @param {number} delay - Seconds of scaled game time
+   * @param {Function} callback
+   * @returns {number} Task id for cancel()
+   */
+  after(delay, callback) {
+    const task = { id: this.nextId++, due: this.time + delay, callback };
+    let index = this.tasks.length;
+    while (index > 0 && this.tasks[index - 1].due > task.due) index--;
+    this.tasks.splice(index, 0, task);
+    return task.id;
+  }
+
+  /**
+   * @param {number} id - Id returned by after()
+   */
+  cancel(id) {
+    const index = this.tasks.findIndex((task) => task.id === id);
+    if (index !== -1) this.tasks.splice(index, 1);
+  }
+
+  /**
+   * Drop every pending task
+   */
+  clear() {
+    this.tasks = [];
+  }
+
+  /**
+   * Advance game time and run every task that has become due, in order
+   * A task scheduled by a running task runs in the same call if it is already due.
+   * @param {number} dt - Seconds of scaled game time
+   */
+  update(dt) {
+    this.time += dt;
+    while (this.tasks.length > 0 && this.tasks[0].due <= this.time) {
+      this.tasks.shift().callback();
+    }
+  }
+}
@@ -0,0 +1,901 @@
+/**
+ * AI Search Core
+ *
+ * The breadth-first search behind AIController.searchTarget(), built for speed:
+ *
+ * - The well is a bitboard: one bitmask per row (bit x = column x) for collision
+ *   and line checks, and one per column (bit y = row y) for the board features.
+ * - Search states {x, y, rotation} are encoded as integers, visited states are
+ *   stamped in a typed array and the queue is a ring buffer of state codes.
+ * - A placement only rescans the columns the piece touches; heights, holes and
+ *   bumpiness of the rest of the board carry over from the board before it.
+ *   Only placements that clear lines rebuild every column.
+ * - Lookahead is a beam search: each later piece (known from the preview queue,
+ *   or averaged over every piece type) is dropped on the best few boards of the
+ *   ply before it, and the last ply's boards are judged.
+ *
+ * Scores go through scoreBoard(), the same formula AIController.evaluatePosition()
+ * uses, so the core picks exactly the targets the reference scorer would
+ * (`node simulate.js --bench` checks this).
+ */
+
+// Columns are stored as 32-bit row masks
+const MAX_ROWS = 31;
+
+// Drops of one piece type are at most 4 rotations x 31 columns
+const MAX_DROPS = 4 * 31;
+
+// Rows above the well a search state may reach. Pieces only climb through SRS kicks off
+// the stack, and once clear of it a kick shifts them sideways instead, so this is plenty.
+// Saved piece positions are checked against it too (savegame.js).
+export const ROWS_ABOVE = 8;
+
+/**
+ * Funnel validity bounds for terrain traversability
+ *
+ * FUNNEL PATTERN CONCEPT:
+ * A "funnel" is a terrain shape that slopes from the edges toward the center.
+ * This allows the player to climb from low areas to high areas.
+ *
+ * Example valid funnel from left:
+ *   Heights: [2, 3, 4, 5, 4, 3, 2, 1, 1, 1]
+ *            ^^^^^^^^^^^^ (ascending from left edge)
+ *
+ * Example valid funnel from right:
+ *   Heights: [5, 5, 4, 3, 4, 5, 6, 7, 8, 9]
+ *                     ^^^^^^^^^^^^^^^^^^^^^ (ascending from right edge)
+ *
+ * The bounds tell us how far each funnel extends from its edge.
+ *
+ * @param {ArrayLike<number>} heights - Column heights
+ * @param {number} cols - Board width
+ * @returns {{leftFunnelValidUntil: number, rightFunnelValidUntil: number}}
+ */
+export function funnelBounds(heights, cols) {
+  // Left funnel: heights increase or stay same from left edge
+  let leftFunnelValidUntil = 0;
+  for (let x = 1; x < cols; x++) {
+    if (heights[x] <= heights[x - 1]) {
+      leftFunnelValidUntil = x;
+    } else {
+      break;
+    }
+  }
+
+  // Right funnel: heights increase or stay same from right edge
+  let rightFunnelValidUntil = cols - 1;
+  for (let x = cols - 2; x >= 0; x--) {
+    if (heights[x] <= heights[x + 1]) {
+      rightFunnelValidUntil = x;
+    } else {
+      break;
+    }
+  }
+
+  return { leftFunnelValidUntil, rightFunnelValidUntil };
+}
+
+/**
+ * Terrain penalty from cliff heights and funnel patterns
+ * @param {ArrayLike<number>} heights - Column heights
+ * @param {Object} rules - From AIController.getScoringRules()
+ * @param {Object} diffConfig - Difficulty configuration
+ * @param {Array<Object>|null} [cliffs] - Receives each cliff's details when given
+ * @returns {number} Penalty (negative)
+ */
+export function terrainPenalty(heights, rules, diffConfig, cliffs = null) {
+  const { cols, cliffHeight } = rules;
+  const mid = Math.floor(cols / 2);
+  const bounds = funnelBounds(heights, cols);
+  let penalty = 0;
+
+  for (let x = 0; x < cols - 1; x++) {
+    const heightDiff = Math.abs(heights[x] - heights[x + 1]);
+    if (heightDiff < cliffHeight) continue;
+
+    const higherCol = heights[x] > heights[x + 1] ? x : x + 1;
+    const lowerCol = heights[x] > heights[x + 1] ? x + 1 : x;
+    let isValidFunnel = false;
+
+    if (higherCol <= mid) {
+      if (higherCol < lowerCol && bounds.leftFunnelValidUntil >= lowerCol) {
+        isValidFunnel = true;
+      }
+    } else {
+      if (higherCol > lowerCol && bounds.rightFunnelValidUntil <= lowerCol) {
+        isValidFunnel = true;
+      }
+    }
+
+    const distFromEdge = Math.min(higherCol, cols - 1 - higherCol);
+    const cliffPenalty = isValidFunnel
+      ? diffConfig.funnelPenaltyBase * Math.pow(2, distFromEdge)
+      : diffConfig.splitPenalty;
+    penalty += cliffPenalty;
+
+    if (cliffs) {
+      cliffs.push({ x, heightDiff, higherCol, isValidFunnel, distFromEdge, penalty: cliffPenalty });
+    }
+  }
+  return penalty;
+}
+
+/**
+ * Bonus for clearing several lines at once
+ * @param {number} lines - Lines completed by the placement
+ * @param {Object} diffConfig - Difficulty configuration
+ * @returns {number}
+ */
+export function multiLineBonus(lines, diffConfig) {
+  if (lines === 0 || !diffConfig.multiLineBonus) return 0;
+  if (lines >= 4) return 150;
+  if (lines >= 2) return 50;
+  return 0;
+}
+
+/**
+ * Weighted score of the board a placement leaves (see AIController.evaluatePosition() for the terms)
+ * @param {Object} features - lines, heights, heightSum, maxHeight, holes, coveredHoles, bumpiness,
+ *   terrain (from terrainPenalty()) and pieceBottom (row below the placed piece)
+ * @param {Object} rules - From AIController.getScoringRules()
+ * @param {Object} diffConfig - Difficulty configuration with scoring weights
+ * @param {Object|null} [out] - Receives each weighted term and the total when given
+ * @returns {number} Total score
+ */
+export function scoreBoard(features, rules, diffConfig, out = null) {
+  const { lines, heights, maxHeight } = features;
+  const linesScore = lines * diffConfig.lineReward;
+  const bonus = multiLineBonus(lines, diffConfig);
+  const holesScore = features.holes * diffConfig.holeReward;
+  const coveredHolesScore = features.coveredHoles * diffConfig.coveredHoleReward;
+  const heightScore = features.heightSum * diffConfig.heightReward;
+  const maxHeightScore = maxHeight * diffConfig.maxHeightReward;
+
+  let dangerScore = 0;
+  if (maxHeight >= rules.rows - rules.panicHeight) {
+    dangerScore = rules.panicPenalty;
+  } else if (maxHeight >= rules.rows - rules.warningHeight) {
+    dangerScore = rules.warningPenalty;
+  }
+
+  const bumpinessScore = features.bumpiness * diffConfig.bumpinessReward;
+
+  // Reward keeping the edges low (below half the well) so the player can climb out of the corners
+  const minEdge = Math.min(heights[0], heights[rules.cols - 1]);
+  const edgeScore = (rules.rows / 2 - minEdge) * 3;
+
+  const floatingHeight = rules.floatingHeight;
+  const floatingScore = features.pieceBottom < floatingHeight ? -(floatingHeight - features.pieceBottom) * 30 : 0;
+
+  const total =
+    linesScore +
+    bonus +
+    holesScore +
+    coveredHolesScore +
+    heightScore +
+    maxHeightScore +
+    dangerScore +
+    bumpinessScore +
+    features.terrain +
+    edgeScore +
+    floatingScore;
+
+  if (out) {
+    out.lines = linesScore;
+    out.multiLineBonus = bonus;
+    out.holes = holesScore;
+    out.coveredHoles = coveredHolesScore;
+    out.height = heightScore;
+    out.maxHeight = maxHeightScore;
+    out.danger = dangerScore;
+    out.bumpiness = bumpinessScore;
+    out.terrain = features.terrain;
+    out.edge = edgeScore;
+    out.floating = floatingScore;
+    out.total = total;
+  }
+  return total;
+}
+
+/**
+ * Height, holes and covered holes of one column
+ * @param {number} bits - Column mask (bit y = row y filled)
+ * @param {number} rows - Board height
+ * @param {Int32Array} out - Receives [height, holes, coveredHoles]
+ */
+function measureColumn(bits, rows, out) {
+  if (bits === 0) {
+    out[0] = 0;
+    out[1] = 0;
+    out[2] = 0;
+    return;
+  }
+  const top = 31 - Math.clz32(bits & -bits);
+  const height = rows - top;
+  const below = ((1 << rows) - 1) & ~((1 << top) - 1);
+  let gaps = below & ~bits;
+  out[0] = height;
+  out[1] = height - popcount(bits);
+
+  // Each hole costs the blocks stacked above it
+  let covered = 0;
+  while (gaps !== 0) {
+    const y = 31 - Math.clz32(gaps & -gaps);
+    covered += popcount(bits & ((1 << y) - 1));
+    gaps &= gaps - 1;
+  }
+  out[2] = covered;
+}
+
+/**
+ * Mark the highest scores (ties go to the lower index)
+ * @param {ArrayLike<number>} scores
+ * @param {number} count - Entries of scores in use
+ * @param {number} width - Entries to mark
+ * @param {Uint8Array} kept - Receives 1 for marked entries, 0 for the rest
+ */
+function markBest(scores, count, width, kept) {
+  const all = width >= count;
+  kept.fill(all ? 1 : 0, 0, count);
+  if (all) return;
+  for (let n = 0; n < width; n++) {
+    let best = -1;
+    for (let i = 0; i < count; i++) {
+      if (!kept[i] && (best === -1 || scores[i] > scores[best])) best = i;
+    }
+    kept[best] = 1;
+  }
+}
+
+function popcount(v) {
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * The well as row and column bitmasks, with the features of every column
+ */
+class Bitboard {
+  constructor(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    this.fullRow = (1 << cols) - 1;
+    this.rowBits = new Uint32Array(rows);
+    this.colBits = new Uint32Array(cols);
+    this.heights = new Int32Array(cols);
+    this.holes = new Int32Array(cols);
+    this.covered = new Int32Array(cols);
+    this.heightSum = 0;
+    this.maxHeight = 0;
+    this.holeSum = 0;
+    this.coveredSum = 0;
+    this.bumpiness = 0;
+    // Rows already full before any placement (the live grid never has them; kept for exactness)
+    this.fullRows = 0;
+  }
+
+  /**
+   * @param {Array<Array>} grid - Engine grid (cells are null or a color)
+   */
+  loadGrid(grid) {
+    for (let y = 0; y < this.rows; y++) {
+      const row = grid[y];
+      let bits = 0;
+      for (let x = 0; x < this.cols; x++) {
+        if (row[x]) bits |= 1 << x;
+      }
+      this.rowBits[y] = bits;
+    }
+    this.measure();
+  }
+
+  /**
+   * Become another board with a piece locked in and completed lines removed
+   * @param {Bitboard} board - Board before the placement
+   * @param {Object} state - Piece state from the piece table
+   * @param {number} x
+   * @param {number} y
+   */
+  loadPlacement(board, state, x, y) {
+    let kept = this.rows;
+    for (let gy = board.rows - 1; gy >= 0; gy--) {
+      const i = gy - y;
+      const bits = i >= 0 && i < state.height ? board.rowBits[gy] | (state.rowMasks[i] << x) : board.rowBits[gy];
+      if (bits !== this.fullRow) this.rowBits[--kept] = bits;
+    }
+    while (kept > 0) this.rowBits[--kept] = 0;
+    this.measure();
+  }
+
+  /**
+   * Derive the column masks and features from the row masks
+   */
+  measure() {
+    this.colBits.fill(0);
+    this.fullRows = 0;
+    for (let y = 0; y < this.rows; y++) {
+      const bits = this.rowBits[y];
+      if (bits === this.fullRow) this.fullRows |= 1 << y;
+      for (let x = 0; x < this.cols; x++) {
+        if (bits & (1 << x)) this.colBits[x] |= 1 << y;
+      }
+    }
+
+    const column = new Int32Array(3);
+    this.heightSum = 0;
+    this.maxHeight = 0;
+    this.holeSum = 0;
+    this.coveredSum = 0;
+    this.bumpiness = 0;
+    for (let x = 0; x < this.cols; x++) {
+      measureColumn(this.colBits[x], this.rows, column);
+      this.heights[x] = column[0];
+      this.holes[x] = column[1];
+      this.covered[x] = column[2];
+      this.heightSum += column[0];
+      this.holeSum += column[1];
+      this.coveredSum += column[2];
+      if (column[0] > this.maxHeight) this.maxHeight = column[0];
+      if (x > 0) this.bumpiness += Math.abs(this.heights[x - 1] - column[0]);
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether a piece state fits at x, y (inside the well, not overlapping blocks)
+   */
+  fits(state, x, y) {
+    if (x < 0 || x + state.width > this.cols || y < -ROWS_ABOVE || y + state.height > this.rows) return false;
+    const masks = state.rowMasks;
+    for (let i = y < 0 ? -y : 0; i < state.height; i++) {
+      if (this.rowBits[y + i] & (masks[i] << x)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * @returns {number} Rows (bit y = row y) a placement completes, including rows that already were
+   */
+  completedRows(state, x, y) {
+    let full = this.fullRows;
+    for (let i = y < 0 ? -y : 0; i < state.height; i++) {
+      if ((this.rowBits[y + i] | (state.rowMasks[i] << x)) === this.fullRow) full |= 1 << (y + i);
+    }
+    return full;
+  }
+
+  /**
+   * Whether a placement leaves a row one block short of complete with the gap among some cells,
+   * and clears no lines (which would move the rows). A player covering the gap completes the
+   * line (see GameEngine.getPlayerCompletingCells()).
+   * @param {{left: number, right: number, top: number, bottom: number}} cells - Inclusive cell bounds
+   * @returns {boolean}
+   */
+  leavesGap(state, x, y, cells) {
+    if (this.completedRows(state, x, y) !== 0) return false;
+    // Only rows the piece fills count, so gaps that were there before are not credited to it
+    const top = Math.max(cells.top, y, 0);
+    const bottom = Math.min(cells.bottom, y + state.height - 1, this.rows - 1);
+    for (let gy = top; gy <= bottom; gy++) {
+      const gap = this.fullRow & ~(this.rowBits[gy] | (state.rowMasks[gy - y] << x));
+      if (gap === 0 || (gap & (gap - 1)) !== 0) continue;
+      const gx = 31 - Math.clz32(gap);
+      if (gx >= cells.left && gx <= cells.right) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Where a piece state comes to rest when dropped straight down from the top row
+   * Every column of a tetromino is a single run of cells, so each column falls until its
+   * lowest cell meets the first block below it.
+   * @returns {number|null} Resting y, or null if the piece does not fit at the top
+   */
+  dropY(state, x) {
+    if (!this.fits(state, x, 0)) return null;
+    let y = this.rows;
+    for (let c = 0; c < state.width; c++) {
+      const bottom = state.bottoms[c];
+      const below = this.colBits[x + c] & ~((2 << bottom) - 1);
+      const land = below === 0 ? this.rows : 31 - Math.clz32(below & -below);
+      if (land - bottom - 1 < y) y = land - bottom - 1;
+    }
+    return y;
+  }
+
+  /**
+   * @returns {boolean} Whether the area a classic in-place rotation sweeps holds no blocks
+   */
+  sweepClear(x, y, width, height) {
+    const mask = ((1 << width) - 1) << x;
+    for (let gy = Math.max(y, 0); gy < Math.min(y + height, this.rows); gy++) {
+      if (this.rowBits[gy] & mask) return false;
+    }
+    return true;
+  }
+}
+
+// Shape tables per rotation system and piece type
+const pieceTables = new WeakMap();
+
+/**
+ * Bitmasks and rotation moves of every state of a piece in a rotation system
+ * The rotation system is probed once with recording placement checks, so kicks, their
+ * order and the resulting rotation come from the system itself.
+ * @param {Object} rotation - Rotation system (see rotation.js)
+ * @param {string} type - Piece type
+ * @returns {Array<Object>} One entry per rotation state
+ */
+function getPieceTable(rotation, type) {
+  let tables = pieceTables.get(rotation);
+  if (!tables) {
+    tables = new Map();
+    pieceTables.set(rotation, tables);
+  }
+  if (tables.has(type)) return tables.get(type);
+
+  const states = rotation.getShapes(type).map((shape) => {
+    const width = shape[0].length;
+    const bottoms = [];
+    const colMasks = [];
+    for (let c = 0; c < width; c++) {
+      let mask = 0;
+      shape.forEach((row, i) => {
+        if (row[c]) mask |= 1 << i;
+      });
+      colMasks.push(mask);
+      bottoms.push(31 - Math.clz32(mask));
+    }
+    return {
+      shape,
+      width,
+      height: shape.length,
+      rowMasks: shape.map((row) => row.reduce((mask, cell, c) => (cell ? mask | (1 << c) : mask), 0)),
+      colMasks,
+      bottoms,
+      turns: [],
+    };
+  });
+
+  states.forEach((state, r) => {
+    const probe = { type, x: 0, y: 0, rotation: r };
+    for (const dir of rotation.directions) {
+      const result = rotation.rotate(probe, dir, () => true);
+      if (!result) {
+        state.turns.push(null);
+        continue;
+      }
+      const kicks = [];
+      rotation.rotate(probe, dir, (x, y) => {
+        kicks.push(x, y);
+        return false;
+      });
+      const to = states[result.rotation];
+      state.turns.push({
+        to: result.rotation,
+        kicks,
+        sweepWidth: Math.max(state.width, to.width),
+        sweepHeight: Math.max(state.height, to.height),
+      });
+    }
+  });
+
+  tables.set(type, states);
+  return states;
+}
+
+export class SearchCore {
+  constructor() {
+    this.cols = 0;
+    this.rows = 0;
+    this.board = null;
+    // Per lookahead ply: the board it drops onto, its piece tables and the drops found
+    this.plies = [];
+    this.depth = 0;
+    this.column = new Int32Array(3);
+    this.heights = null;
+    this.features = { lines: 0, heights: null, heightSum: 0, maxHeight: 0, holes: 0, coveredHoles: 0 };
+    this.visited = null;
+    this.parents = null;
+    this.queue = null;
+    this.stamp = 0;
+    // Positions scored by the last search (resting spots and lookahead drops)
+    this.evaluated = 0;
+  }
+
+  /**
+   * Size the buffers for a board
+   */
+  resize(cols, rows) {
+    if (cols === this.cols && rows === this.rows) return;
+    if (rows > MAX_ROWS || cols > 31) throw new Error(`Search core supports boards up to 31x${MAX_ROWS}`);
+    this.cols = cols;
+    this.rows = rows;
+    this.span = rows + ROWS_ABOVE;
+    this.board = new Bitboard(cols, rows);
+    this.plies = [];
+    this.heights = new Int32Array(cols);
+    this.features.heights = this.heights;
+
+    // Every state is queued at most once, so a ring of this size never overflows
+    const states = 4 * this.span * cols;
+    let capacity = 1;
+    while (capacity < states) capacity *= 2;
+    this.visited = new Uint32Array(states);
+    this.parents = new Int32Array(states);
+    this.queue = new Int32Array(capacity);
+    this.stamp = 0;
+  }
+
+  encode(x, y, rotation) {
+    return (rotation * this.span + y + ROWS_ABOVE) * this.cols + x;
+  }
+
+  /**
+   * @returns {{x: number, y: number, rotation: number}}
+   */
+  decode(code) {
+    const x = code % this.cols;
+    const rest = (code - x) / this.cols;
+    const row = rest % this.span;
+    return { x, y: row - ROWS_ABOVE, rotation: (rest - row) / this.span };
+  }
+
+  /**
+   * @returns {boolean} Whether the last search reached a state
+   */
+  reached(x, y, rotation) {
+    if (x < 0 || x >= this.cols || y < -ROWS_ABOVE || y >= this.rows) return false;
+    return this.visited[this.encode(x, y, rotation)] === this.stamp;
+  }
+
+  /**
+   * Find the best resting state for a piece
+   * @param {Object} options
+   * @param {Array<Array>} options.grid - Engine grid
+   * @param {Object} options.rotation - Rotation system
+   * @param {string} options.type - Piece type
+   * @param {{x: number, y: number, rotation: number}} options.start - Current piece state
+   * @param {Object} options.rules - From AIController.getScoringRules()
+   * @param {Object} options.diffConfig - Difficulty configuration
+   * @param {Object|null} options.lookahead - Beam search over later pieces, or null: `plies` lists the
+   *   pieces of each ply as {type, weight} (weights sum to 1) and `width` the drops kept per piece
+   * @param {{left: number, right: number}|null} options.dangerZone - Columns to keep away from, or null
+   * @param {number} options.dangerZoneReward - Added to resting spots overlapping the danger zone
+   * @param {number} options.playerRow - Row of the player's top (for danger zone pruning)
+   * @param {Object|null} [options.hunt] - Set when the danger zone is a target (positive reward) instead:
+   *   the search may then move pieces into it, `reach` ({left, right}) are the columns the player can get
+   *   to, spots covering all of them get `cornerReward` instead, and spots leaving a row one block short
+   *   with the gap in `trap` (cell bounds of the player, or null) also get `trapReward`
+   * @param {number} options.maxIterations - States expanded at most
+   * @param {Function|null} [options.onCandidate] - Called with (x, y, rotation, score, baseScore) for each
+   *   resting spot (with lookahead, each one the beam keeps); baseScore leaves out the danger zone reward
+   * @returns {{target: Object|null, score: number, path: Array<Object>}} Best resting state, its score and
+   *   the BFS path to it (excluding the start)
+   */
+  search(options) {
+    const { rules, diffConfig, lookahead, dangerZone, dangerZoneReward, playerRow, onCandidate } = options;
+    const hunt = options.hunt ?? null;
+    this.resize(rules.cols, rules.rows);
+    const board = this.board;
+    board.loadGrid(options.grid);
+    this.evaluated = 0;
+
+    const states = getPieceTable(options.rotation, options.type);
+    this.preparePlies(options.rotation, lookahead ? lookahead.plies : []);
+    // With lookahead, resting spots are collected and the beam runs once the search is done
+    const spots = [];
+    const spotScores = [];
+    const spotRanks = [];
+    const sweep = options.rotation.sweepCheck;
+    const { visited, parents, queue } = this;
+    const ringMask = queue.length - 1;
+    const stamp = (this.stamp = (this.stamp + 1) >>> 0 || 1);
+
+    const start = options.start;
+    const startCode = this.encode(start.x, start.y, start.rotation);
+    visited[startCode] = stamp;
+    parents[startCode] = -1;
+    queue[0] = startCode;
+    let head = 0;
+    let tail = 1;
+
+    let bestScore = -Infinity;
+    let bestCode = -1;
+    let iterations = 0;
+    let current = -1;
+    const inDanger = (x, width) => x < dangerZone.right && x + width > dangerZone.left;
+    // What a resting spot gets for where it lands relative to the player
+    const playerScore = (state, x, y) => {
+      if (!dangerZone) return 0;
+      if (!hunt) return inDanger(x, state.width) ? dangerZoneReward : 0;
+      let score = 0;
+      if (inDanger(x, state.width)) {
+        const escapes = hunt.reach.left < x || hunt.reach.right >= x + state.width;
+        score += escapes ? dangerZoneReward : hunt.cornerReward;
+      }
+      if (hunt.trap && board.leavesGap(state, x, y, hunt.trap)) score += hunt.trapReward;
+      return score;
+    };
+
+    // Queue a neighbor unless seen; when avoiding the player, sideways moves and turns may not
+    // carry the piece into the danger zone near the player's height
+    const visit = (x, y, rotation, fromX, fromWidth, sideways) => {
+      const code = this.encode(x, y, rotation);
+      if (visited[code] === stamp) return;
+      if (sideways && dangerZone && !hunt) {
+        const next = states[rotation];
+        if (y + next.height >= playerRow - 2 && inDanger(x, next.width) && !inDanger(fromX, fromWidth)) return;
+      }
+      visited[code] = stamp;
+      parents[code] = current;
+      queue[tail] = code;
+      tail = (tail + 1) & ringMask;
+    };
+
+    while (head !== tail && iterations < options.maxIterations) {
+      iterations++;
+      current = queue[head];
+      head = (head + 1) & ringMask;
+      const x = current % this.cols;
+      const rest = (current - x) / this.cols;
+      const row = rest % this.span;
+      const y = row - ROWS_ABOVE;
+      const rotation = (rest - row) / this.span;
+      const state = states[rotation];
+      const canMoveDown = board.fits(state, x, y + 1);
+
+      if (!canMoveDown) {
+        const base = this.scorePlacement(board, state, x, y, rules, diffConfig);
+        const score = base + playerScore(state, x, y);
+        if (lookahead) {
+          spots.push(current);
+          spotScores.push(base);
+          spotRanks.push(score);
+        } else {
+          if (onCandidate) onCandidate(x, y, rotation, score, base);
+          if (score > bestScore) {
+            bestScore = score;
+            bestCode = current;
+          }
+        }
+      }
+
+      // Neighbors in a fixed order (left, right, turns, down): ties go to the first found
+      if (board.fits(state, x - 1, y)) visit(x - 1, y, rotation, x, state.width, true);
+      if (board.fits(state, x + 1, y)) visit(x + 1, y, rotation, x, state.width, true);
+      for (const turn of state.turns) {
+        if (!turn) continue;
+        const to = states[turn.to];
+        const kicks = turn.kicks;
+        for (let k = 0; k < kicks.length; k += 2) {
+          const nx = x + kicks[k];
+          const ny = y + kicks[k + 1];
+          if (!board.fits(to, nx, ny)) continue;
+          if (!sweep || board.sweepClear(x, y, turn.sweepWidth, turn.sweepHeight)) {
+            visit(nx, ny, turn.to, x, state.width, true);
+          }
+          break;
+        }
+      }
+      if (canMoveDown) visit(x, y + 1, rotation, x, state.width, false);
+    }
+
+    if (lookahead) {
+      // The beam starts from the resting spots that score best on their own
+      const kept = new Uint8Array(spots.length);
+      markBest(spotRanks, spots.length, lookahead.width, kept);
+      for (let i = 0; i < spots.length; i++) {
+        if (!kept[i]) continue;
+        const { x, y, rotation } = this.decode(spots[i]);
+        const state = states[rotation];
+        const base = this.scoreAhead(0, board, state, x, y, spotScores[i], rules, diffConfig, lookahead.width);
+        const score = base + playerScore(state, x, y);
+        if (onCandidate) onCandidate(x, y, rotation, score, base);
+        if (score > bestScore) {
+          bestScore = score;
+          bestCode = spots[i];
+        }
+      }
+    }
+
+    const path = [];
+    let target = null;
+    if (bestCode !== -1) {
+      target = this.decode(bestCode);
+      for (let code = bestCode; code !== startCode && code !== -1; code = parents[code]) {
+        path.unshift(this.decode(code));
+      }
+    }
+    return { target, score: bestScore, path };
+  }
+
+  /**
+   * Score a placement on a board, rescanning only the columns the piece touches
+   * @returns {number}
+   */
+  scorePlacement(board, state, x, y, rules, diffConfig) {
+    this.evaluated++;
+    const { cols, rows } = board;
+    const heights = this.heights;
+    const features = this.features;
+    const column = this.column;
+    const full = board.completedRows(state, x, y);
+    features.lines = popcount(full);
+
+    if (full !== 0) {
+      this.measureCleared(board, state, x, y, full);
+    } else {
+      heights.set(board.heights);
+      let heightSum = board.heightSum;
+      let maxHeight = board.maxHeight;
+      let holes = board.holeSum;
+      let covered = board.coveredSum;
+      let bumpiness = board.bumpiness;
+
+      for (let c = 0; c < state.width; c++) {
+        const gx = x + c;
+        const cells = y >= 0 ? state.colMasks[c] << y : state.colMasks[c] >>> -y;
+        if (cells === 0) continue;
+        measureColumn(board.colBits[gx] | cells, rows, column);
+        heights[gx] = column[0];
+        heightSum += column[0] - board.heights[gx];
+        holes += column[1] - board.holes[gx];
+        covered += column[2] - board.covered[gx];
+        if (column[0] > maxHeight) maxHeight = column[0];
+      }
+
+      // Only the column pairs around the piece can change
+      const from = Math.max(x - 1, 0);
+      const to = Math.min(x + state.width, cols - 1);
+      for (let gx = from; gx < to; gx++) {
+        bumpiness +=
+          Math.abs(heights[gx] - heights[gx + 1]) - Math.abs(board.heights[gx] - board.heights[gx + 1]);
+      }
+
+      features.heightSum = heightSum;
+      features.maxHeight = maxHeight;
+      features.holes = holes;
+      features.coveredHoles = covered;
+      features.bumpiness = bumpiness;
+    }
+
+    features.terrain = terrainPenalty(heights, rules, diffConfig);
+    features.pieceBottom = y + state.height;
+    return scoreBoard(features, rules, diffConfig);
+  }
+
+  /**
+   * Features of a placement that completes lines: every column shifts, so all are rebuilt
+   * @param {number} full - Completed rows (bit y = row y)
+   */
+  measureCleared(board, state, x, y, full) {
+    const { cols, rows } = board;
+    const heights = this.heights;
+    const features = this.features;
+    const column = this.column;
+    let heightSum = 0;
+    let maxHeight = 0;
+    let holes = 0;
+    let covered = 0;
+    let bumpiness = 0;
+
+    for (let gx = 0; gx < cols; gx++) {
+      let bits = board.colBits[gx];
+      const c = gx - x;
+      if (c >= 0 && c < state.width) bits |= y >= 0 ? state.colMasks[c] << y : state.colMasks[c] >>> -y;
+
+      // Remove completed rows top to bottom; the rows above each one move down
+      let remaining = full;
+      while (remaining !== 0) {
+        const gy = 31 - Math.clz32(remaining & -remaining);
+        const above = bits & ((1 << gy) - 1);
+        bits = (bits & ~((2 << gy) - 1)) | (above << 1);
+        remaining &= remaining - 1;
+      }
+
+      measureColumn(bits, rows, column);
+      heights[gx] = column[0];
+      heightSum += column[0];
+      holes += column[1];
+      covered += column[2];
+      if (column[0] > maxHeight) maxHeight = column[0];
+      if (gx > 0) bumpiness += Math.abs(heights[gx - 1] - column[0]);
+    }
+
+    features.heightSum = heightSum;
+    features.maxHeight = maxHeight;
+    features.holes = holes;
+    features.coveredHoles = covered;
+    features.bumpiness = bumpiness;
+  }
+
+  /**
+   * Set up the boards, piece tables and drop buffers of the lookahead plies
+   * @param {Object} rotation - Rotation system
+   * @param {Array<Array<{type: string, weight: number}>>} plies - Pieces of each ply
+   */
+  preparePlies(rotation, plies) {
+    while (this.plies.length < plies.length) {
+      this.plies.push({
+        board: new Bitboard(this.cols, this.rows),
+        pieces: null,
+        x: new Int32Array(MAX_DROPS),
+        y: new Int32Array(MAX_DROPS),
+        rotation: new Int32Array(MAX_DROPS),
+        score: new Float64Array(MAX_DROPS),
+        kept: new Uint8Array(MAX_DROPS),
+      });
+    }
+    plies.forEach((pieces, i) => {
+      this.plies[i].pieces = pieces.map(({ type, weight }) => ({ states: getPieceTable(rotation, type), weight }));
+    });
+    this.depth = plies.length;
+  }
+
+  /**
+   * Score a placement by its line rewards plus the best the later pieces can do after it,
+   * averaged by piece weight (AIController.evaluateWithLookahead() is the reference)
+   * Past the last ply the placement is judged by its own score.
+   * @param {number} ply - Lookahead ply after the placement
+   * @param {Bitboard} board - Board the placement is made on
+   * @param {number} score - scorePlacement() of the placement
+   * @param {number} width - Drops of each piece followed into the next ply
+   * @returns {number}
+   */
+  scoreAhead(ply, board, state, x, y, score, rules, diffConfig, width) {
+    if (ply === this.depth) return score;
+    const lines = popcount(board.completedRows(state, x, y));
+    const lineScore = lines * diffConfig.lineReward + multiLineBonus(lines, diffConfig);
+    const after = this.plies[ply].board;
+    after.loadPlacement(board, state, x, y);
+
+    let total = 0;
+    for (const { states, weight } of this.plies[ply].pieces) {
+      const best = this.bestDrop(ply, after, states, rules, diffConfig, width);
+      // The piece could not even spawn: as bad as topping out
+      total += weight * (best === null ? score + rules.panicPenalty : lineScore + best);
+    }
+    return total;
+  }
+
+  /**
+   * Best value of dropping a piece straight down onto the board of a lookahead ply
+   * Only the `width` drops that score best on their own are followed into the next ply.
+   * @returns {number|null} Null if the piece does not fit anywhere
+   */
+  bestDrop(ply, board, states, rules, diffConfig, width) {
+    const drops = this.plies[ply];
+    const last = ply + 1 === this.depth;
+    let count = 0;
+    let best = null;
+    for (let r = 0; r < states.length; r++) {
+      const state = states[r];
+      for (let x = 0; x <= board.cols - state.width; x++) {
+        const y = board.dropY(state, x);
+        if (y === null) continue;
+        const score = this.scorePlacement(board, state, x, y, rules, diffConfig);
+        if (last) {
+          if (best === null || score > best) best = score;
+          continue;
+        }
+        drops.x[count] = x;
+        drops.y[count] = y;
+        drops.rotation[count] = r;
+        drops.score[count] = score;
+        count++;
+      }
+    }
+    if (last || count === 0) return best;
+
+    markBest(drops.score, count, width, drops.kept);
+    for (let i = 0; i < count; i++) {
+      if (!drops.kept[i]) continue;
+      const state = states[drops.rotation[i]];
+      const value = this.scoreAhead(ply + 1, board, state, drops.x[i], drops.y[i], drops.score[i], rules,
+        diffConfig, width);
+      if (best === null || value > best) best = value;
+    }
+    return best;
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Touch Controls
+ *
+ * On-screen buttons and swipe gestures for phones and tablets. Both press the
+ * same actions as the keyboard through InputHandler.pressAction()/releaseAction().
+ *
+ * Gestures on the canvas:
+ * - drag left/right: run in that direction while the finger stays off-center
+ * - swipe up: jump (held until the finger lifts, like holding the jump key)
+ * - swipe down: sabotage
+ */
+
+const DRAG_THRESHOLD = 20; // CSS pixels from the touch start before running
+const SWIPE_THRESHOLD = 40; // CSS pixels of vertical travel for a swipe
+
+export class TouchControls {
+  /**
+   * @param {InputHandler} input - Receives the simulated key presses
+   * @param {HTMLElement} surface - Element that accepts swipe gestures (the canvas)
+   * @param {HTMLElement|null} buttons - Container of on-screen buttons with data-action attributes
+   */
+  constructor(input, surface, buttons = null) {
+    this.input = input;
+    this.swipe = null;
+
+    if (window.matchMedia && window.matchMedia("(pointer: coarse)").matches) this.show();
+
+    if (buttons) {
+      buttons.querySelectorAll("[data-action]").forEach((btn) => this.bindButton(btn));
+    }
+
+    surface.addEventListener("pointerdown", (e) => this.handleSwipeStart(e));
+    surface.addEventListener("pointermove", (e) => this.handleSwipeMove(e));
+    surface.addEventListener("pointerup", (e) => this.handleSwipeEnd(e));
+    surface.addEventListener("pointercancel", (e) => this.handleSwipeEnd(e));
+  }
+
+  // Reveal the on-screen controls (they stay hidden for mouse and keyboard players)
+  show() {
+    document.body.classList.add("touch");
+  }
+
+  /**
+   * Hold the button's action while a finger is on it
+   * @param {HTMLElement} btn - Element with a data-action attribute
+   */
+  bindButton(btn) {
+    const action = btn.dataset.action;
+    const source = `touch:${action}`;
+    let pointerId = null;
+
+    const release = (e) => {
+      if (e.pointerId !== pointerId) return;
+      pointerId = null;
+      btn.classList.remove("pressed");
+      this.input.releaseAction(action, source);
+    };
+
+    btn.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      if (pointerId !== null) return;
+      pointerId = e.pointerId;
+      btn.setPointerCapture(e.pointerId);
+      btn.classList.add("pressed");
+      this.input.pressAction(action, source);
+    });
+    btn.addEventListener("pointerup", release);
+    btn.addEventListener("pointercancel", release);
+    btn.addEventListener("lostpointercapture", release);
+  }
+
+  handleSwipeStart(e) {
+    if (e.pointerType === "mouse" || this.swipe) return;
+    e.preventDefault();
+    this.show();
+    this.swipe = {
+      id: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      direction: null, // Action held by the horizontal drag
+      jumped: false,
+      sabotaged: false,
+    };
+  }
+
+  handleSwipeMove(e) {
+    const swipe = this.swipe;
+    if (!swipe || e.pointerId !== swipe.id) return;
+    e.preventDefault();
+
+    const dx = e.clientX - swipe.startX;
+    const dy = e.clientY - swipe.startY;
+
+    let direction = null;
+    if (dx < -DRAG_THRESHOLD) direction = "left";
+    else if (dx > DRAG_THRESHOLD) direction = "right";
+    if (direction !== swipe.direction) {
+      if (swipe.direction) this.input.releaseAction(swipe.direction, "swipe");
+      if (direction) this.input.pressAction(direction, "swipe");
+      swipe.direction = direction;
+    }
+
+    if (dy < -SWIPE_THRESHOLD && !swipe.jumped) {
+      swipe.jumped = true;
+      this.input.pressAction("jump", "swipe");
+    } else if (dy > SWIPE_THRESHOLD && !swipe.sabotaged) {
+      swipe.sabotaged = true;
+      this.input.pressAction("sabotage", "swipe");
+      this.input.releaseAction("sabotage", "swipe");
+    }
+  }
+
+  handleSwipeEnd(e) {
+    const swipe = this.swipe;
+    if (!swipe || e.pointerId !== swipe.id) return;
+
+    if (swipe.direction) this.input.releaseAction(swipe.direction, "swipe");
+    if (swipe.jumped) this.input.releaseAction("jump", "swipe");
+    this.swipe = null;
+  }
+}
@@ -9,7 +9,12 @@ export function getShape(type, rotation) {
   return shapes[rotation % shapes.length];
 }
 
-export function getRandomTetrominoType() {
+/**
+ * Pick a uniformly random tetromino type
+ * @param {SeededRandom} rng - Random source (anything with a next() returning [0, 1))
+ * @returns {string} Tetromino type key
+ */
+export function getRandomTetrominoType(rng) {
   const types = Object.keys(TETROMINOES);
-  return types[Math.floor(Math.random() * types.length)];
+  return types[Math.floor(rng.next() * types.length)];
 }
@@ -0,0 +1,42 @@
+/**
+ * AI Search Worker
+ *
+ * Module worker started by AIWorker (aiworker.js). Each message carries a
+ * request from AIController.requestTarget() with the search context it was
+ * made in (grid, settings, lookahead; see describeSearchContext()). A scratch
+ * engine is set up from that context, the search runs on it and the result is
+ * posted back under the message's ticket.
+ */
+
+import { DIFFICULTY_SETTINGS } from './constants.js';
+import { GameEngine } from './engine.js';
+import { getRotationSystem } from './rotation.js';
+
+const engine = new GameEngine({ recordReplay: false });
+
+/**
+ * Make the scratch engine match the game a request was made in
+ * @param {Object} context - From AIController.describeSearchContext()
+ */
+function loadContext(context) {
+  const { settings } = context;
+  engine.settings.difficulty = settings.difficulty;
+  engine.settings.diffConfig = DIFFICULTY_SETTINGS[settings.difficulty];
+  engine.settings.rotationSystem = settings.rotationSystem;
+  engine.rotationSystem = getRotationSystem(settings.rotationSystem);
+  engine.settings.boardSize = settings.boardSize;
+  engine.applyBoardSize();
+  engine.settings.personality = settings.personality;
+  engine.grid = context.grid;
+  engine.stats.pieceCount = context.pieceCount;
+}
+
+self.onmessage = (event) => {
+  const { ticket, request } = event.data;
+  try {
+    loadContext(request.context);
+    self.postMessage({ ticket, result: engine.ai.searchFromRequest(request) });
+  } catch (e) {
+    self.postMessage({ ticket, error: e.message });
+  }
+};
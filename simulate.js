@@ -6,19 +6,44 @@
  *   node simulate.js --player [difficulty] [games] - Run with simulated player
  *   node simulate.js --state <file.json>      - Load state and analyze AI decision
  *   node simulate.js --state <file.json> --step [n]  - Step through n AI moves
+ *   node simulate.js --replay <replay.json>   - Re-simulate a replay and check the outcome matches
+ *   node simulate.js --bench [difficulty] [games] - Time the AI search on positions from up to [games]
+ *                                                   games and check it against the reference scorer
+ *
+ * Options:
+ *   --seed <n>   Base RNG seed; game i uses seed n + i so runs are reproducible
+ *   --randomizer <name>  Force a piece randomizer (uniform, bag7, bag14, history)
+ *                        instead of the difficulty's default
+ *   --rotation <name>    Rotation system: classic (default) or srs
+ *   --board <name>       Board size: tight (8x16), standard (10x20, default) or wide (12x24)
+ *   --personality <name> AI personality: cautious (default, avoids the player) or hunter (goes after them)
+ *   --preview <n>        Pieces in the preview queue (default PREVIEW_COUNT); with fewer than Expert's
+ *                        beamDepth, --bench expert covers lookahead plies past the preview
+ *   --record <file>      With --player, save a replay of the first game to <file>
+ *   --rewind <file>      With --player, rewind the first lost game to where the AI targeted the last piece
+ *                        before the death, print it and save that state to <file> (for --state)
  *
  * Examples:
  *   node simulate.js easy 100
  *   node simulate.js --player hard 50
  *   node simulate.js --state dump.json
  *   node simulate.js --state dump.json --step 5
+ *   node simulate.js --player hard 50 --seed 1234
+ *   node simulate.js --player hard 50 --randomizer bag7
+ *   node simulate.js --player normal 50 --board wide
+ *   node simulate.js --player hard 50 --personality hunter
+ *   node simulate.js --player hard 1 --seed 7 --record replay.json
+ *   node simulate.js --player hard 20 --seed 1 --rewind before-death.json
+ *   node simulate.js --replay replay.json
+ *   node simulate.js --bench hard --rotation srs
+ *   node simulate.js --bench expert --preview 0
  */
 
 import fs from 'fs';
-import { DEFAULT_CONSTANTS, TETROMINOES, DIFFICULTY_SETTINGS } from './js/constants.js';
-import { getShape, getRandomTetrominoType } from './js/utils.js';
+import { DEFAULT_CONSTANTS, TETROMINOES, DIFFICULTY_SETTINGS, BOARD_SIZES } from './js/constants.js';
 import { AIController } from './js/ai.js';
 import { GameEngine } from './js/engine.js';
+import { ReplayPlayer, compareOutcomes, getReplaySettings } from './js/replay.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -28,15 +53,54 @@ let stepCount = 1;
 let difficulty = "easy";
 let numGames = 100;
 let useSimulatedPlayer = false;
+let baseSeed = null;
+let randomizerName = null;
+let rotationName = null;
+let boardName = null;
+let personalityName = null;
+let previewCount = null;
+let replayFile = null;
+let recordFile = null;
+let rewindFile = null;
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === "--state" && args[i + 1]) {
     mode = "analyze";
     stateFile = args[i + 1];
     i++;
+  } else if (args[i] === "--replay" && args[i + 1]) {
+    mode = "replay";
+    replayFile = args[i + 1];
+    i++;
+  } else if (args[i] === "--bench") {
+    mode = "bench";
+  } else if (args[i] === "--record" && args[i + 1]) {
+    recordFile = args[i + 1];
+    i++;
+  } else if (args[i] === "--rewind" && args[i + 1]) {
+    rewindFile = args[i + 1];
+    i++;
   } else if (args[i] === "--step" && args[i + 1]) {
     stepCount = parseInt(args[i + 1]) || 1;
     i++;
+  } else if (args[i] === "--seed" && args[i + 1]) {
+    baseSeed = parseInt(args[i + 1]) >>> 0;
+    i++;
+  } else if (args[i] === "--randomizer" && args[i + 1]) {
+    randomizerName = args[i + 1];
+    i++;
+  } else if (args[i] === "--rotation" && args[i + 1]) {
+    rotationName = args[i + 1];
+    i++;
+  } else if (args[i] === "--board" && args[i + 1]) {
+    boardName = args[i + 1];
+    i++;
+  } else if (args[i] === "--personality" && args[i + 1]) {
+    personalityName = args[i + 1];
+    i++;
+  } else if (args[i] === "--preview" && args[i + 1]) {
+    previewCount = Math.max(0, parseInt(args[i + 1]) || 0);
+    i++;
   } else if (args[i] === "--verbose" || args[i] === "-v") {
     global.TE_DEBUG_AI = true;
   } else if (args[i] === "--player" || args[i] === "-p") {
@@ -52,39 +116,29 @@ for (let i = 0; i < args.length; i++) {
 
 // Create a debug wrapper for AIController
 class DebugAIController extends AIController {
-  calculateTarget(overrideConfig = null, avoidPlayer = false, playerTriggered = false) {
+  searchTarget(overrideConfig = null, avoidPlayer = false, prediction = null, lookahead) {
     if (global.TE_DEBUG_AI) {
       this.lastBFSCandidates = [];
-      const originalEvaluate = this.evaluatePosition.bind(this);
-
-      this.evaluatePosition = (piece, shape, diffConfig, detailed = false) => {
-        // Always get detailed breakdown for debug logging
-        const breakdown = originalEvaluate(piece, shape, diffConfig, true);
-        this.lastBFSCandidates.push({
-          x: piece.x,
-          y: piece.y,
-          rotation: piece.rotation,
-          baseScore: breakdown.total,
-          breakdown: breakdown,
-        });
-        // Return what was requested
-        return detailed ? breakdown : breakdown.total;
+      const pieceType = this.engine.currentPiece.type;
+      const diffConfig = overrideConfig || this.engine.settings.diffConfig;
+
+      this.onCandidate = (x, y, rotation, score, baseScore) => {
+        // Breakdown of the placement itself from the reference scorer (without lookahead)
+        const shape = this.engine.rotationSystem.getShape(pieceType, rotation);
+        const breakdown = this.evaluatePosition({ x, y, rotation, shape, type: pieceType }, shape, diffConfig, true);
+        // What the search added for the player: danger zone (decayed), hunting and trap rewards
+        const playerScore = score - baseScore;
+        this.lastBFSCandidates.push({ x, y, rotation, baseScore: breakdown.total, playerScore, breakdown });
       };
 
-      super.calculateTarget(overrideConfig, avoidPlayer, playerTriggered);
-      this.evaluatePosition = originalEvaluate;
+      const result = super.searchTarget(overrideConfig, avoidPlayer, prediction, lookahead);
+      this.onCandidate = null;
 
       if (avoidPlayer && this.engine.player && this.engine.currentPiece) {
-        const pieceType = this.engine.currentPiece.type;
-        const diffConfig = overrideConfig || this.engine.settings.diffConfig;
-        const margin = diffConfig.dangerZoneMargin;
-        const playerGridLeft = Math.floor(this.engine.player.x / this.engine.constants.CELL_SIZE - margin);
-        const playerGridRight = Math.ceil(
-          (this.engine.player.x + this.engine.constants.PLAYER_WIDTH) / this.engine.constants.CELL_SIZE + margin
-        );
+        const zone = this.getPlayerZone(prediction, diffConfig);
 
         for (const cand of this.lastBFSCandidates) {
-          const shape = getShape(pieceType, cand.rotation);
+          const shape = this.engine.rotationSystem.getShape(pieceType, cand.rotation);
           if (!shape) {
             console.error(`No shape for type=${pieceType} rot=${cand.rotation}`);
             cand.inDangerZone = false;
@@ -93,8 +147,8 @@ class DebugAIController extends AIController {
           }
           const width = shape[0].length;
           const pieceRight = cand.x + width;
-          cand.inDangerZone = cand.x < playerGridRight && pieceRight > playerGridLeft;
-          cand.finalScore = cand.baseScore + (cand.inDangerZone ? diffConfig.dangerZoneReward : 0);
+          cand.inDangerZone = cand.x < zone.right && pieceRight > zone.left;
+          cand.finalScore = cand.baseScore + cand.playerScore;
         }
       } else {
         for (const cand of this.lastBFSCandidates) {
@@ -102,29 +156,64 @@ class DebugAIController extends AIController {
           cand.finalScore = cand.baseScore;
         }
       }
-    } else {
-      super.calculateTarget(overrideConfig, avoidPlayer, playerTriggered);
+      return result;
     }
+    return super.searchTarget(overrideConfig, avoidPlayer, prediction, lookahead);
   }
 }
 
 // Override GameEngine to use DebugAIController
 class DebugGameEngine extends GameEngine {
-  reset() {
-    super.reset();
+  constructor(config) {
+    super(config);
+    this.events.on("pieceSpawned", ({ piece }) => this.spawnedTypes.push(piece.type));
+  }
+
+  reset(seed) {
+    super.reset(seed);
     // Replace AI controller with debug version
     this.ai = new DebugAIController(this);
+    // Piece types in spawn order, for randomizer statistics
+    this.spawnedTypes = [];
   }
 }
 
-function createEngine(godMode = true) {
+// Player simulation outcome for each engine death cause
+const OUTCOME_BY_CAUSE = {
+  squished: "crushed",
+  lineCleared: "line-clear",
+  fieldFilled: "gameover",
+};
+
+/**
+ * Seed for the i-th simulated game (null lets the engine pick a fresh one)
+ * @param {number} gameIndex
+ * @returns {number|null}
+ */
+function seedForGame(gameIndex) {
+  return baseSeed === null ? null : (baseSeed + gameIndex) >>> 0;
+}
+
+/**
+ * @param {string} name - Key of BOARD_SIZES
+ * @returns {string} e.g. "wide (12x24)"
+ */
+function describeBoard(name) {
+  const size = BOARD_SIZES[name];
+  return size ? `${name} (${size.cols}x${size.rows})` : name;
+}
+
+function createEngine(godMode = true, seed = null) {
   return new DebugGameEngine({
-    width: 350,
-    height: 700,
     godMode: godMode,
-    onGameOver: () => {},
-    onGameWin: () => {},
-    onLineCleared: () => {},
+    seed: seed,
+    randomizer: randomizerName,
+    rotationSystem: rotationName,
+    boardSize: boardName,
+    personality: personalityName,
+    previewCount,
+    // Snapshots every frame; only worth the cost when a lost game will be rewound
+    rewind: rewindFile !== null,
   });
 }
 
@@ -144,8 +233,13 @@ class SimulatedPlayer {
       disruptions: 0,
       escapeAttempts: 0,
       nearDeaths: 0,
+      pushes: 0,
+      nearMisses: 0,
     };
-    this.lastAITarget = null;
+    // Every AI change of plan for the current piece counts as a disruption
+    engine.events.on("aiRetargeted", () => this.stats.disruptions++);
+    engine.events.on("playerPushed", () => this.stats.pushes++);
+    engine.events.on("nearMiss", () => this.stats.nearMisses++);
   }
 
   // Get column heights from current grid
@@ -167,13 +261,13 @@ class SimulatedPlayer {
   // Get player's current grid column (center of player)
   getPlayerGridX() {
     const centerX = this.engine.player.x + this.engine.constants.PLAYER_WIDTH / 2;
-    return Math.floor(centerX / this.engine.constants.CELL_SIZE);
+    return Math.floor(centerX);
   }
 
   // Get player's height from floor in rows
   getPlayerHeightRows() {
     const bottomY = this.engine.player.y + this.engine.constants.PLAYER_HEIGHT;
-    return (this.engine.height - bottomY) / this.engine.constants.CELL_SIZE;
+    return this.engine.height - bottomY;
   }
 
   // Get the falling piece's current column range
@@ -189,7 +283,7 @@ class SimulatedPlayer {
     const piece = this.engine.currentPiece;
     if (!target || !piece) return null;
 
-    const shape = getShape(piece.type, target.rotation);
+    const shape = this.engine.rotationSystem.getShape(piece.type, target.rotation);
     if (!shape) return null;
 
     return { left: target.x, right: target.x + shape[0].length - 1 };
@@ -208,15 +302,11 @@ class SimulatedPlayer {
     const player = this.engine.player;
     if (!player) return null;
 
-    const CELL_SIZE = this.engine.constants.CELL_SIZE;
     const COLS = this.engine.constants.COLS;
     const ROWS = this.engine.constants.ROWS;
 
     // Get player grid bounds
-    const pLeft = Math.floor(player.x / CELL_SIZE);
-    const pRight = Math.floor((player.x + this.engine.constants.PLAYER_WIDTH - 1) / CELL_SIZE);
-    const pTop = Math.floor(player.y / CELL_SIZE);
-    const pBottom = Math.floor((player.y + this.engine.constants.PLAYER_HEIGHT - 1) / CELL_SIZE);
+    const { left: pLeft, right: pRight, top: pTop, bottom: pBottom } = this.engine.getPlayerGridBounds();
 
     // Check each row the player occupies
     for (let y = pTop; y <= pBottom; y++) {
@@ -281,12 +371,8 @@ class SimulatedPlayer {
   wouldEnterDangerousRow(gridX, dangerousRows) {
     if (dangerousRows.size === 0) return false;
 
-    const player = this.engine.player;
-    const CELL_SIZE = this.engine.constants.CELL_SIZE;
-
     // Get player's current row range
-    const pTop = Math.floor(player.y / CELL_SIZE);
-    const pBottom = Math.floor((player.y + this.engine.constants.PLAYER_HEIGHT - 1) / CELL_SIZE);
+    const { top: pTop, bottom: pBottom } = this.engine.getPlayerGridBounds();
 
     for (const [row, info] of dangerousRows) {
       if (row >= pTop && row <= pBottom) {
@@ -367,17 +453,6 @@ class SimulatedPlayer {
     const pieceRange = this.getPieceColumns();
     const targetRange = this.getTargetColumns();
 
-    // Track AI retargets (for stats)
-    const target = this.engine.ai.target;
-    if (target && this.lastAITarget) {
-      const targetKey = `${target.x},${target.y},${target.rotation}`;
-      const lastKey = `${this.lastAITarget.x},${this.lastAITarget.y},${this.lastAITarget.rotation}`;
-      if (targetKey !== lastKey) {
-        this.stats.disruptions++;
-      }
-    }
-    this.lastAITarget = target ? { ...target } : null;
-
     // Get dangerous rows early - needed for multiple phases
     const dangerousRows = this.getNearlyCompleteRows();
 
@@ -507,7 +582,7 @@ class SimulatedPlayer {
     // If piece is heading toward us but we have time, start moving away
     // This is gentler than the immediate survival phase
 
-    const EARLY_WARNING_THRESHOLD = 18;
+    const EARLY_WARNING_THRESHOLD = this.engine.constants.ROWS - 2;
     if (piece && dropDist <= EARLY_WARNING_THRESHOLD && dropDist > DANGER_THRESHOLD) {
       // Only react if we're in the target zone (where it will land)
       const inTargetZone = this.isInRange(playerGridX, targetRange);
@@ -648,15 +723,63 @@ class SimulatedPlayer {
   }
 }
 
+/**
+ * Longest run of pieces without a given type (e.g. an I-piece drought)
+ * @param {Array<string>} types - Piece types in spawn order
+ * @param {string} type - Type to look for
+ * @returns {number}
+ */
+function longestDrought(types, type) {
+  let longest = 0;
+  let current = 0;
+  for (const t of types) {
+    current = t === type ? 0 : current + 1;
+    longest = Math.max(longest, current);
+  }
+  return longest;
+}
+
+/**
+ * Print piece-luck statistics so randomizer effects can be separated from AI effects
+ * @param {Array<{iDrought: number, outcome?: string}>} results
+ */
+function printPieceLuck(results) {
+  const avg = (list) => (list.length > 0 ? list.reduce((s, r) => s + r.iDrought, 0) / list.length : 0);
+  console.log("");
+  console.log("--- Piece Luck ---");
+  console.log(`Randomizer: ${randomizerName ?? DIFFICULTY_SETTINGS[difficulty]?.randomizer ?? "uniform"}`);
+  console.log(`Avg Longest I Drought: ${avg(results).toFixed(2)} pieces`);
+  console.log(`Worst I Drought: ${Math.max(...results.map((r) => r.iDrought))} pieces`);
+
+  // For player games, compare luck across outcomes
+  const outcomes = [...new Set(results.map((r) => r.outcome).filter(Boolean))];
+  for (const outcome of outcomes) {
+    const group = results.filter((r) => r.outcome === outcome);
+    console.log(`  ${outcome}: avg longest I drought ${avg(group).toFixed(2)} pieces`);
+  }
+}
+
+/**
+ * Summarize the seeds used by a batch of games for the results header
+ * @param {Array<{seed: number}>} results
+ * @returns {string}
+ */
+function describeSeeds(results) {
+  if (results.length === 0) return "none";
+  if (baseSeed !== null) return `${results[0].seed}..${results[results.length - 1].seed} (--seed ${baseSeed})`;
+  return `random (first: ${results[0].seed}; pass --seed to reproduce)`;
+}
+
 function runPlayerSimulation() {
   console.log(`Simulating ${numGames} games with player on '${difficulty}' difficulty...`);
 
   const results = [];
   const startTime = Date.now();
+  let firstLoss = null; // Engine of the first lost game, kept for --rewind
 
   for (let i = 0; i < numGames; i++) {
     // Disable godMode for player simulation - we want real death/win conditions
-    const engine = createEngine(false);
+    const engine = createEngine(false, seedForGame(i));
     engine.start();
     engine.selectDifficulty(difficulty);
 
@@ -666,47 +789,27 @@ function runPlayerSimulation() {
     let totalTime = 0;
     const MAX_TIME = 300;
 
-    let deathCause = null;
     let maxHeightReached = 0;
 
     while (engine.status === "playing" && totalTime < MAX_TIME) {
-      // Get simulated player input and convert to engine key format
-      const simKeys = simPlayer.decide();
-      const keys = {
-        ArrowLeft: simKeys.left,
-        ArrowRight: simKeys.right,
-        ArrowUp: simKeys.jump,
-      };
-      engine.update(dt, { keys });
+      // Simulated player decisions map directly onto engine actions
+      engine.update(dt, { actions: simPlayer.decide() });
       totalTime += dt;
 
       // Track max height player reached
       if (engine.player) {
         const playerY = engine.player.y;
-        const heightInRows = (engine.height - playerY) / engine.constants.CELL_SIZE;
+        const heightInRows = engine.height - playerY;
         maxHeightReached = Math.max(maxHeightReached, heightInRows);
       }
-
-      // Check for death
-      if (engine.player && engine.player.dead) {
-        if (engine.player.killedByLine) {
-          deathCause = "line-clear";
-        } else {
-          deathCause = "crushed";
-        }
-        break;
-      }
     }
 
     // Determine outcome
-    // Note: player.dead might be set before engine.status changes (e.g., setTimeout in line clear death)
     let outcome = "timeout";
     if (engine.status === "win") {
       outcome = "escaped";
-    } else if (engine.status === "gameover" || (engine.player && engine.player.dead)) {
-      outcome = deathCause || "crushed";
-    } else if (totalTime >= MAX_TIME) {
-      outcome = "timeout";
+    } else if (engine.deathCause) {
+      outcome = OUTCOME_BY_CAUSE[engine.deathCause.type];
     }
 
     // Get final board height
@@ -719,6 +822,7 @@ function runPlayerSimulation() {
     }
 
     results.push({
+      seed: engine.seed,
       outcome,
       time: engine.stats.time,
       simTime: totalTime,
@@ -728,9 +832,19 @@ function runPlayerSimulation() {
       maxHeightReached: Math.floor(maxHeightReached),
       disruptions: simPlayer.stats.disruptions,
       nearDeaths: simPlayer.stats.nearDeaths,
+      pushes: simPlayer.stats.pushes,
+      nearMisses: simPlayer.stats.nearMisses,
       escapeAttempts: simPlayer.stats.escapeAttempts,
+      iDrought: longestDrought(engine.spawnedTypes, "I"),
+      holds: engine.stats.holds,
     });
 
+    if (i === 0 && recordFile) {
+      fs.writeFileSync(recordFile, JSON.stringify(engine.getReplay()));
+      console.log(`Replay of game 1 (seed ${engine.seed}) saved to ${recordFile}`);
+    }
+    if (rewindFile && !firstLoss && engine.deathCause) firstLoss = engine;
+
     if ((i + 1) % 10 === 0) process.stdout.write(".");
   }
 
@@ -751,10 +865,17 @@ function runPlayerSimulation() {
   const avgMaxHeight = results.reduce((s, r) => s + r.maxHeightReached, 0) / numGames;
   const avgDisruptions = results.reduce((s, r) => s + r.disruptions, 0) / numGames;
   const avgNearDeaths = results.reduce((s, r) => s + r.nearDeaths, 0) / numGames;
+  const avgPushes = results.reduce((s, r) => s + r.pushes, 0) / numGames;
+  const avgNearMisses = results.reduce((s, r) => s + r.nearMisses, 0) / numGames;
+  const avgHolds = results.reduce((s, r) => s + r.holds, 0) / numGames;
 
   console.log("=== Player Simulation Results ===");
   console.log(`Difficulty: ${difficulty}`);
+  console.log(`Rotation: ${rotationName ?? DEFAULT_CONSTANTS.ROTATION_SYSTEM}`);
+  console.log(`Board: ${describeBoard(boardName ?? DEFAULT_CONSTANTS.BOARD_SIZE)}`);
+  console.log(`AI Personality: ${personalityName ?? DEFAULT_CONSTANTS.AI_PERSONALITY}`);
   console.log(`Games Played: ${numGames}`);
+  console.log(`Seeds: ${describeSeeds(results)}`);
   console.log(`Total Real Time: ${totalTime.toFixed(2)}s`);
   console.log("");
   console.log("--- Outcomes ---");
@@ -772,6 +893,10 @@ function runPlayerSimulation() {
   console.log(`Average Max Height Reached: ${avgMaxHeight.toFixed(2)} rows`);
   console.log(`Average Disruptions (AI retargets): ${avgDisruptions.toFixed(2)}`);
   console.log(`Average Near-Death Escapes: ${avgNearDeaths.toFixed(2)}`);
+  console.log(`Average Pushes by Pieces: ${avgPushes.toFixed(2)}`);
+  console.log(`Average Near Misses: ${avgNearMisses.toFixed(2)}`);
+  console.log(`Average AI Holds: ${avgHolds.toFixed(2)}`);
+  printPieceLuck(results);
 
   // Show stats broken down by outcome
   if (escaped.length > 0) {
@@ -838,6 +963,66 @@ function runPlayerSimulation() {
     console.log(`  Avg Max Height Reached: ${avgTimeoutMaxHeight.toFixed(2)} rows`);
     console.log(`  Avg Disruptions: ${avgTimeoutDisruptions.toFixed(2)}`);
   }
+
+  if (rewindFile) {
+    if (firstLoss) rewindToTargetChoice(firstLoss);
+    else console.log("\nNo game was lost; nothing to rewind.");
+  }
+}
+
+/**
+ * Rewind index of the frame the AI picked its target for the last piece falling before the death:
+ * the earliest snapshot of that piece, taken right after it spawned
+ * @param {RewindBuffer} rewind - engine.rewind of the lost game
+ * @returns {number|null} Snapshot index, or null when no snapshot has a falling piece
+ */
+function findTargetChoice(rewind) {
+  let last = rewind.length - 1;
+  while (last >= 0 && !rewind.get(last).currentPiece) last--;
+  if (last < 0) return null;
+
+  // pieceCount only changes when a piece locks, so it identifies the falling piece
+  const { pieceCount } = rewind.get(last).stats;
+  let index = last;
+  while (index > 0) {
+    const previous = rewind.get(index - 1);
+    if (!previous.currentPiece || previous.stats.pieceCount !== pieceCount) break;
+    index--;
+  }
+  return index;
+}
+
+/**
+ * Rewind a lost game to the AI's last target choice, print it and save the state to rewindFile
+ * @param {GameEngine} engine - Engine of the lost game, created with rewind enabled
+ */
+function rewindToTargetChoice(engine) {
+  const cause = engine.deathCause;
+  console.log("");
+  console.log(`=== REWIND: seed ${engine.seed} (${cause.message}) ===`);
+
+  const index = findTargetChoice(engine.rewind);
+  if (index === null) {
+    console.log("No falling piece in the rewind buffer.");
+    return;
+  }
+  engine.seekRewind(index);
+  const piece = engine.currentPiece;
+  const spawned = index === 0 ? "the oldest kept frame (it spawned earlier)" : "its spawn";
+  console.log(`Rewound ${engine.getRewindSecondsBack().toFixed(2)}s before the death, to ${spawned}`);
+  console.log(`Piece: ${piece.type} at (${piece.x}, ${piece.y}) rotation ${piece.rotation}`);
+  if (engine.ai.target) {
+    const { target } = engine.ai;
+    console.log(`AI target: (${target.x}, ${target.y}) rotation ${target.rotation}`);
+    console.log(`AI target score: ${engine.ai.targetScore?.toFixed(0) ?? "N/A"}`);
+  } else {
+    console.log("AI target: none");
+  }
+  console.log("");
+  printGrid(engine);
+
+  fs.writeFileSync(rewindFile, JSON.stringify(engine.dumpState(), null, 2));
+  console.log(`\nState saved to ${rewindFile}; analyze it with --state ${rewindFile} or drop it on the game page.`);
 }
 
 function runSimulation() {
@@ -847,7 +1032,7 @@ function runSimulation() {
   const startTime = Date.now();
 
   for (let i = 0; i < numGames; i++) {
-    const engine = createEngine();
+    const engine = createEngine(true, seedForGame(i));
     engine.start();
     engine.selectDifficulty(difficulty);
 
@@ -856,7 +1041,7 @@ function runSimulation() {
     const MAX_TIME = 300;
 
     while (engine.status === "playing" && totalTime < MAX_TIME) {
-      engine.update(dt, { keys: {} });
+      engine.update(dt, { actions: {} });
       totalTime += dt;
     }
 
@@ -869,11 +1054,13 @@ function runSimulation() {
     }
 
     results.push({
+      seed: engine.seed,
       lines: engine.stats.linesCleared,
       time: engine.stats.time,
       pieces: engine.stats.pieceCount,
       maxHeight: maxHeight,
       result: engine.status,
+      iDrought: longestDrought(engine.spawnedTypes, "I"),
     });
 
     if ((i + 1) % 10 === 0) process.stdout.write(".");
@@ -891,7 +1078,11 @@ function runSimulation() {
 
   console.log("--- Simulation Results ---");
   console.log(`Difficulty: ${difficulty}`);
+  console.log(`Rotation: ${rotationName ?? DEFAULT_CONSTANTS.ROTATION_SYSTEM}`);
+  console.log(`Board: ${describeBoard(boardName ?? DEFAULT_CONSTANTS.BOARD_SIZE)}`);
+  console.log(`AI Personality: ${personalityName ?? DEFAULT_CONSTANTS.AI_PERSONALITY}`);
   console.log(`Games Played: ${numGames}`);
+  console.log(`Seeds: ${describeSeeds(results)}`);
   console.log(`Total Real Time: ${totalTime.toFixed(2)}s`);
   console.log(`Average Lines Cleared: ${avgLines.toFixed(2)}`);
   console.log(`Average Max Height: ${avgHeight.toFixed(2)} (Rows)`);
@@ -899,6 +1090,7 @@ function runSimulation() {
   console.log(`Max Lines in a Game: ${maxLines}`);
   console.log(`Max Height in a Game: ${maxHeight}`);
   console.log(`Min Height in a Game: ${minHeight}`);
+  printPieceLuck(results);
 }
 
 function analyzeState() {
@@ -925,6 +1117,9 @@ function analyzeState() {
 
   console.log("\n=== STATE LOADED ===");
   console.log(`Difficulty: ${engine.settings.difficulty}`);
+  const hunt = engine.ai.getHunt();
+  console.log(`AI Personality: ${engine.settings.personality}${hunt ? " (hunting this piece)" : ""}`);
+  console.log(`Seed: ${engine.seed}`);
   console.log(`Player position: (${engine.player?.x.toFixed(1)}, ${engine.player?.y.toFixed(1)})`);
 
   if (engine.currentPiece) {
@@ -933,16 +1128,19 @@ function analyzeState() {
     );
   }
 
-  const diffConfig = engine.settings.diffConfig;
-  const margin = diffConfig.dangerZoneMargin;
-  const playerGridX = Math.floor(engine.player.x / engine.constants.CELL_SIZE);
-  const playerGridLeft = Math.floor(engine.player.x / engine.constants.CELL_SIZE - margin);
-  const playerGridRight = Math.ceil(
-    (engine.player.x + engine.constants.PLAYER_WIDTH) / engine.constants.CELL_SIZE + margin
-  );
+  const margin = hunt ? hunt.margin : engine.settings.diffConfig.dangerZoneMargin;
+  const prediction = engine.predictPlayer();
+  const zone = engine.ai.getPlayerZone(prediction);
 
-  console.log(`Player grid X: ${playerGridX}`);
-  console.log(`Danger zone: columns ${playerGridLeft} to ${playerGridRight - 1} (margin: ${margin})`);
+  console.log(`Player grid X: ${engine.getPlayerGridX()}`);
+  let landing = "on the ground";
+  if (prediction.landsIn === null) landing = "still in the air";
+  else if (prediction.landsIn > 0) landing = `lands in ${prediction.landsIn.toFixed(2)}s`;
+  console.log(
+    `Predicted in ${prediction.seconds.toFixed(2)}s: (${prediction.x.toFixed(1)}, ${prediction.y.toFixed(1)}), ` +
+      `column ${prediction.column}, ${landing}; reachable columns ${prediction.left} to ${prediction.right}`
+  );
+  console.log(`${hunt ? "Hunt" : "Danger"} zone: columns ${zone.left} to ${zone.right - 1} (margin: ${margin})`);
 
   console.log("\n=== AI TARGET CALCULATION ===");
   engine.ai.calculateTarget(null, true);
@@ -953,16 +1151,15 @@ function analyzeState() {
     console.log(`\nTotal positions evaluated: ${sorted.length}`);
     console.log("\nTop 10 candidates:");
     console.log("─".repeat(80));
-    console.log("Rank │ Position      │ Rot │ Base Score │ DZ Penalty │ Final Score │ In DZ");
+    console.log("Rank │ Position      │ Rot │ Base Score │  DZ Reward │ Final Score │ In DZ");
     console.log("─".repeat(80));
 
     for (let i = 0; i < Math.min(10, sorted.length); i++) {
       const c = sorted[i];
-      const dzPenalty = c.inDangerZone ? diffConfig.dangerZoneReward : 0;
       console.log(
         `${String(i + 1).padStart(4)} │ (${String(c.x).padStart(2)}, ${String(c.y).padStart(2)})       │  ${
           c.rotation
-        }  │ ${String(c.baseScore.toFixed(0)).padStart(10)} │ ${String(dzPenalty.toFixed(0)).padStart(10)} │ ${String(
+        }  │ ${String(c.baseScore.toFixed(0)).padStart(10)} │ ${String(c.playerScore.toFixed(0)).padStart(10)} │ ${String(
           c.finalScore.toFixed(0)
         ).padStart(11)} │ ${c.inDangerZone ? "YES" : "no"}`
       );
@@ -1069,14 +1266,199 @@ function analyzeState() {
   printGrid(engine);
 }
 
+function runReplay() {
+  let replay;
+  try {
+    replay = JSON.parse(fs.readFileSync(replayFile, "utf8"));
+  } catch (e) {
+    console.error(`Error loading replay file: ${e.message}`);
+    process.exit(1);
+  }
+
+  const engine = new DebugGameEngine();
+
+  let player;
+  try {
+    player = new ReplayPlayer(engine, replay);
+  } catch (e) {
+    console.error(`Invalid replay: ${e.message}`);
+    process.exit(1);
+  }
+
+  console.log("=== Replay ===");
+  console.log(`Seed: ${replay.seed}`);
+  if (replay.state) console.log(`Starts from: saved state at ${replay.state.stats.time.toFixed(2)}s`);
+  const describeSettings = (s) =>
+    `${s.difficulty}, speed ${s.speed}x, ${s.rotationSystem} rotation, ` +
+    `${describeBoard(s.boardSize)} board, ${s.personality} AI`;
+  const startSettings = getReplaySettings(replay, 0);
+  const endSettings = getReplaySettings(replay);
+  console.log(`Settings: ${describeSettings(startSettings)}`);
+  if (describeSettings(endSettings) !== describeSettings(startSettings)) {
+    console.log(`Settings at the end: ${describeSettings(endSettings)}`);
+  }
+  console.log(`Frames: ${player.frameCount} (${replay.frames.length} runs), Events: ${player.events.length}`);
+
+  const startTime = Date.now();
+  player.start();
+  const actual = player.run();
+  const expected = replay.outcome;
+
+  console.log(`Re-simulated in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+  console.log("");
+  console.log("--- Outcome ---");
+  console.log("             Recorded        Replayed");
+  for (const key of ["result", "cause", "time", "lines", "pieces"]) {
+    const fmt = (v) => (key === "time" ? `${v.toFixed(3)}s` : String(v ?? "-"));
+    console.log(`${key.padEnd(12)} ${fmt(expected[key]).padEnd(15)} ${fmt(actual[key])}`);
+  }
+  if (expected.reason) console.log(`Reason: ${expected.reason}`);
+
+  const diffs = compareOutcomes(expected, actual);
+  console.log("");
+  if (diffs.length === 0) {
+    console.log("MATCH: replay reproduces the recorded game");
+  } else {
+    console.log("MISMATCH: replay diverged from the recorded game");
+    diffs.forEach((d) => console.log(`  ${d}`));
+  }
+
+  console.log("\n=== FINAL GRID ===");
+  printGrid(engine);
+  process.exitCode = diffs.length === 0 ? 0 : 1;
+}
+
+// Positions (piece spawns) sampled for --bench, and the minimum time spent timing the search core
+const BENCH_POSITIONS = 200;
+const BENCH_MIN_SECONDS = 2;
+
+/**
+ * Benchmark the AI search and check it against the reference scorer
+ * Samples the spawn positions of AI-only games, times searchTarget() on them, then scores every
+ * resting spot again with AIController.evaluatePosition()/evaluateWithLookahead() and compares.
+ */
+function runBenchmark() {
+  const positions = [];
+  const games = [];
+  for (let i = 0; i < numGames && positions.length < BENCH_POSITIONS; i++) {
+    const engine = createEngine(true, seedForGame(i));
+    engine.start();
+    engine.selectDifficulty(difficulty);
+    games.push({ seed: engine.seed });
+    engine.events.on("pieceSpawned", () => {
+      if (positions.length < BENCH_POSITIONS && engine.currentPiece) positions.push(engine.dumpState());
+    });
+    let totalTime = 0;
+    while (engine.status === "playing" && totalTime < 300 && positions.length < BENCH_POSITIONS) {
+      engine.update(0.05, { actions: {} });
+      totalTime += 0.05;
+    }
+  }
+
+  console.log("=== AI Search Benchmark ===");
+  console.log(`Difficulty: ${difficulty}`);
+  console.log(`Rotation: ${rotationName ?? DEFAULT_CONSTANTS.ROTATION_SYSTEM}`);
+  console.log(`Board: ${describeBoard(boardName ?? DEFAULT_CONSTANTS.BOARD_SIZE)}`);
+  console.log(`AI Personality: ${personalityName ?? DEFAULT_CONSTANTS.AI_PERSONALITY}`);
+  console.log(`Preview: ${previewCount ?? DEFAULT_CONSTANTS.PREVIEW_COUNT} pieces`);
+  console.log(`Positions: ${positions.length} piece spawns from ${games.length} games`);
+  console.log(`Seeds: ${describeSeeds(games)}`);
+  if (positions.length === 0) return;
+
+  // The preview length decides how many lookahead plies the AI knows
+  const engine = new GameEngine({ recordReplay: false, previewCount });
+  const ai = engine.ai;
+
+  // Search core: repeat the positions until enough time has been measured
+  let searches = 0;
+  let evaluated = 0;
+  let coreTime = 0;
+  while (coreTime < BENCH_MIN_SECONDS * 1000) {
+    for (const state of positions) {
+      engine.applyState(state);
+      const start = performance.now();
+      ai.searchTarget(null, true, engine.predictPlayer());
+      coreTime += performance.now() - start;
+      evaluated += ai.core.evaluated;
+      searches++;
+    }
+  }
+
+  // Reference scorer on the same resting spots, and whether it picks the same targets
+  let refEvaluated = 0;
+  let refTime = 0;
+  let candidates = 0;
+  const mismatches = [];
+  for (const state of positions) {
+    engine.applyState(state);
+    const spots = [];
+    ai.onCandidate = (x, y, rotation, score, baseScore) => spots.push({ x, y, rotation, score, baseScore });
+    const result = ai.searchTarget(null, true, engine.predictPlayer());
+    ai.onCandidate = null;
+    refEvaluated += ai.core.evaluated;
+    candidates += spots.length;
+
+    const diffConfig = engine.settings.diffConfig;
+    const type = engine.currentPiece.type;
+    const lookahead = ai.getLookahead(diffConfig);
+    let best = null;
+    const start = performance.now();
+    for (const spot of spots) {
+      const shape = engine.rotationSystem.getShape(type, spot.rotation);
+      const piece = { x: spot.x, y: spot.y, rotation: spot.rotation, shape, type };
+      spot.reference = lookahead
+        ? ai.evaluateWithLookahead(piece, shape, diffConfig, lookahead)
+        : ai.evaluatePosition(piece, shape, diffConfig);
+    }
+    refTime += performance.now() - start;
+
+    for (const spot of spots) {
+      const where = `piece ${state.stats.pieceCount} (${type}) at ${spot.x},${spot.y} r${spot.rotation}`;
+      if (spot.reference !== spot.baseScore) {
+        mismatches.push(`${where}: core ${spot.baseScore}, reference ${spot.reference}`);
+      }
+      const score = spot.reference === spot.baseScore ? spot.score : spot.score - spot.baseScore + spot.reference;
+      if (best === null || score > best.score) best = { ...spot, score };
+    }
+    const target = result.target;
+    if (best && (!target || best.x !== target.x || best.y !== target.y || best.rotation !== target.rotation)) {
+      const chosen = target ? `${target.x},${target.y} r${target.rotation}` : "none";
+      mismatches.push(`piece ${state.stats.pieceCount} (${type}): core chose ${chosen}, ` +
+        `reference ${best.x},${best.y} r${best.rotation}`);
+    }
+  }
+
+  const rate = (count, ms) => Math.round(count / (ms / 1000)).toLocaleString("en-US");
+  console.log("");
+  console.log("--- Search Core ---");
+  const msEach = (coreTime / searches).toFixed(3);
+  console.log(`Searches: ${searches} in ${(coreTime / 1000).toFixed(2)}s (${msEach} ms each)`);
+  console.log(`Positions Evaluated: ${evaluated.toLocaleString("en-US")} (${rate(evaluated, coreTime)}/s)`);
+  console.log("");
+  console.log("--- Reference Scorer ---");
+  console.log(`Positions Evaluated: ${refEvaluated.toLocaleString("en-US")} in ${(refTime / 1000).toFixed(2)}s ` +
+    `(${rate(refEvaluated, refTime)}/s)`);
+  console.log(`Speedup: ${((refTime / refEvaluated) / (coreTime / evaluated)).toFixed(1)}x`);
+  console.log("");
+  console.log("--- Decisions ---");
+  if (mismatches.length === 0) {
+    const checked = `${positions.length} searches, ${candidates} resting spots`;
+    console.log(`MATCH: ${checked} score and choose as the reference`);
+  } else {
+    console.log(`MISMATCH: ${mismatches.length} differences from the reference scorer`);
+    mismatches.slice(0, 10).forEach((m) => console.log(`  ${m}`));
+  }
+  process.exitCode = mismatches.length === 0 ? 0 : 1;
+}
+
 function printGrid(engine) {
   const grid = engine.grid;
   const piece = engine.currentPiece;
   const target = engine.ai.target;
   const player = engine.player;
 
-  const playerGridX = player ? Math.floor(player.x / engine.constants.CELL_SIZE) : -1;
-  const playerGridY = player ? Math.floor(player.y / engine.constants.CELL_SIZE) : -1;
+  const playerGridX = player ? Math.floor(player.x) : -1;
+  const playerGridY = player ? Math.floor(player.y) : -1;
 
   console.log("   0123456789");
   console.log("  ┌──────────┐");
@@ -1097,7 +1479,7 @@ function printGrid(engine) {
       }
 
       if (target && piece) {
-        const shape = getShape(piece.type, target.rotation);
+        const shape = engine.rotationSystem.getShape(piece.type, target.rotation);
         const tx = x - target.x;
         const ty = y - target.y;
         if (shape && tx >= 0 && ty >= 0 && ty < shape.length && tx < shape[ty].length && shape[ty][tx]) {
@@ -1127,4 +1509,8 @@ if (mode === "simulate") {
   }
 } else if (mode === "analyze") {
   analyzeState();
+} else if (mode === "replay") {
+  runReplay();
+} else if (mode === "bench") {
+  runBenchmark();
 }